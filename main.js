@@ -10,12 +10,63 @@
  * 4. 特殊情况用清晰的条件分支处理
  */
 
-const { Plugin } = require('obsidian');
+const { Plugin, PluginSettingTab, Setting, SuggestModal, Notice, editorInfoField } = require('obsidian');
+const { Prec } = require('@codemirror/state');
+const { keymap } = require('@codemirror/view');
+
+/**
+ * 默认设置
+ *
+ * indentUnit: 缩进单位 - 'auto'（跟随文档，其次跟随库的 useTab / tabSize）| 'tab' | '2' | '4'（空格数）
+ * quoteStyle: 引用符号风格 - 'spaced' 为 "> "，'compact' 为 ">"
+ * pasteMode: Ctrl+Shift+V 使用的粘贴模式 - 'absolute' | 'relative' | 'plain'
+ * listPasteMode: 在列表项上粘贴列表时的处理 - 'ask' | 'continue' | 'nest' | 'none'
+ * blockIndentScope: 整体块缩进的范围 - 'subtree'（列表项连同子项、整个引用段落）| 'lines'（只处理选中行）
+ * cycleBulletMarkers: Tab 嵌套无序列表时按层级循环符号 - → * → +
+ * reflowColumn: 重排段落时每行的最大显示宽度（含前缀，中日韩文字按两列计算）
+ */
+const DEFAULT_SETTINGS = {
+    indentUnit: 'auto',
+    quoteStyle: 'spaced',
+    enableSmartEnter: true,
+    enableSmartBackspace: true,
+    enableSmartPaste: true,
+    autoRenumber: true,
+    pasteMode: 'absolute',
+    listPasteMode: 'ask',
+    blockIndentScope: 'subtree',
+    cycleBulletMarkers: false,
+    reflowColumn: 80
+};
+
+/**
+ * 无序列表符号按层级循环的顺序
+ */
+const BULLET_CYCLE = ['-', '*', '+'];
+
+/**
+ * 重排段落时不能出现在行首的标点，与前面的文字一起换行
+ */
+const NO_BREAK_BEFORE = /[，。、；：！？）」』】》〉…,.;:!?)\]}]/;
+
+/**
+ * Callout 类型候选（Obsidian 内置类型）
+ */
+const CALLOUT_TYPES = [
+    'note', 'abstract', 'info', 'todo', 'tip', 'success', 'question',
+    'warning', 'failure', 'danger', 'bug', 'example', 'quote'
+];
 
 module.exports = class BlockIndentController extends Plugin {
     async onload() {
         console.log('加载 Block Indent Controller v2.0');
 
+        await this.loadSettings();
+        this.addSettingTab(new BlockIndentSettingTab(this.app, this));
+
+        // Enter / Shift+Enter / Backspace 通过编辑器按键映射接管，不适用时交还默认行为
+        this.registerEditorKeymap();
+
         // 命令1: 整体增加缩进 (Alt+])
         this.addCommand({
             id: 'increase-block-indent',
@@ -56,27 +107,421 @@ module.exports = class BlockIndentController extends Plugin {
             }
         });
 
+        // 命令4.1 - 4.3: 在最内层增减引用、设置引用层级
+        this.addCommand({
+            id: 'push-inner-quote-level',
+            name: '在最内层增加一层引用',
+            editorCallback: (editor) => {
+                this.adjustInnerQuoteLevel(editor, (level) => level + 1);
+            }
+        });
+
+        this.addCommand({
+            id: 'pop-inner-quote-level',
+            name: '移除最内层的一层引用',
+            editorCallback: (editor) => {
+                this.adjustInnerQuoteLevel(editor, (level) => Math.max(0, level - 1));
+            }
+        });
+
+        this.addCommand({
+            id: 'set-quote-depth',
+            name: '设置引用层级…',
+            editorCallback: (editor) => {
+                new QuoteDepthModal(this.app, (depth) => {
+                    this.adjustInnerQuoteLevel(editor, () => depth);
+                }).open();
+            }
+        });
+
         // 命令5: 智能粘贴
         this.addCommand({
             id: 'smart-paste',
             name: '智能粘贴（匹配当前行格式）',
             hotkeys: [{ modifiers: ['Ctrl', 'Shift'], key: 'V' }],
+            editorCheckCallback: (checking, editor) => {
+                // 关闭时返回 false，快捷键交还给 Obsidian 默认处理
+                if (!this.settings.enableSmartPaste) return false;
+                if (!checking) this.smartPaste(editor);
+                return true;
+            }
+        });
+
+        // 命令5.1 - 5.3: 指定模式粘贴
+        this.addCommand({
+            id: 'smart-paste-absolute',
+            name: '智能粘贴（保持绝对缩进）',
+            editorCallback: async (editor) => {
+                await this.smartPaste(editor, 'absolute');
+            }
+        });
+
+        this.addCommand({
+            id: 'smart-paste-relative',
+            name: '智能粘贴（保持相对缩进）',
+            editorCallback: async (editor) => {
+                await this.smartPaste(editor, 'relative');
+            }
+        });
+
+        this.addCommand({
+            id: 'paste-plain',
+            name: '纯文本粘贴（不添加前缀）',
+            editorCallback: async (editor) => {
+                await this.smartPaste(editor, 'plain');
+            }
+        });
+
+        // 命令5.4 - 5.5: 智能复制 / 剪切（去掉上下文前缀）
+        this.addCommand({
+            id: 'smart-copy',
+            name: '智能复制（去掉公共前缀）',
+            editorCallback: async (editor) => {
+                await this.smartCopy(editor, false);
+            }
+        });
+
+        this.addCommand({
+            id: 'smart-cut',
+            name: '智能剪切（去掉公共前缀）',
             editorCallback: async (editor) => {
-                await this.smartPaste(editor);
+                await this.smartCopy(editor, true);
             }
         });
 
-        // 命令6: 智能Enter - 列表自动延续
+        // 命令6: 智能Enter - 列表自动延续（Enter 键由编辑器按键映射处理）
         this.addCommand({
             id: 'smart-enter',
             name: '智能换行（列表自动延续）',
-            hotkeys: [{ modifiers: [], key: 'Enter' }],
+            editorCheckCallback: (checking, editor) => {
+                if (!this.settings.enableSmartEnter) return false;
+                return this.smartEnter(editor, checking);
+            }
+        });
+
+        // 命令7: 切换任务复选框
+        this.addCommand({
+            id: 'toggle-task-checkbox',
+            name: '切换任务复选框',
+            editorCallback: (editor) => {
+                this.toggleTaskCheckbox(editor);
+            }
+        });
+
+        // 命令8: 重新编号有序列表
+        this.addCommand({
+            id: 'renumber-list',
+            name: '重新编号有序列表',
+            editorCallback: (editor) => {
+                this.renumberLists(editor, this.getSelectionLineRanges(editor));
+            }
+        });
+
+        // 命令9: 用 Callout 包裹选区
+        this.addCommand({
+            id: 'wrap-in-callout',
+            name: '用 Callout 包裹选区',
+            editorCallback: (editor) => {
+                new CalloutTypeModal(this.app, (type) => {
+                    this.wrapInCallout(editor, type);
+                }).open();
+            }
+        });
+
+        // 命令10: 修改所在 Callout 的类型
+        this.addCommand({
+            id: 'change-callout-type',
+            name: '修改所在 Callout 的类型',
+            editorCheckCallback: (checking, editor) => {
+                if (this.findSelectedCallouts(editor).length === 0) return false;
+                if (!checking) {
+                    new CalloutTypeModal(this.app, (type) => {
+                        this.changeCalloutType(editor, type);
+                    }).open();
+                }
+                return true;
+            }
+        });
+
+        // 命令11: 解除所在 Callout（保留正文）
+        this.addCommand({
+            id: 'unwrap-callout',
+            name: '解除所在 Callout（保留正文）',
+            editorCheckCallback: (checking, editor) => {
+                if (this.findSelectedCallouts(editor).length === 0) return false;
+                if (!checking) this.unwrapCallout(editor);
+                return true;
+            }
+        });
+
+        // 命令12: 智能退格 - 逐层撤销结构（Backspace 键由编辑器按键映射处理）
+        this.addCommand({
+            id: 'smart-backspace',
+            name: '智能退格（逐层移除前缀）',
+            editorCheckCallback: (checking, editor) => {
+                if (!this.settings.enableSmartBackspace) return false;
+                // 不适用时返回 false，交给 Obsidian 默认的退格
+                return this.smartBackspace(editor, checking);
+            }
+        });
+
+        // 命令12.1: 规范化结构（选区或整个文档）
+        this.addCommand({
+            id: 'normalize-structure',
+            name: '规范化引用、缩进和列表标记',
+            editorCallback: (editor) => {
+                this.normalizeStructure(editor);
+            }
+        });
+
+        // 命令13/14: 按块上移 / 下移
+        this.addCommand({
+            id: 'move-block-up',
+            name: '整块上移（列表项连同子项）',
+            editorCallback: (editor) => {
+                this.moveBlock(editor, -1);
+            }
+        });
+
+        this.addCommand({
+            id: 'move-block-down',
+            name: '整块下移（列表项连同子项）',
+            editorCallback: (editor) => {
+                this.moveBlock(editor, 1);
+            }
+        });
+
+        // 命令15/16: 列表项嵌套 (Tab / Shift+Tab)，不在列表项中时交给默认行为
+        this.addCommand({
+            id: 'nest-list-item',
+            name: '列表项缩进一级（成为上一项的子项）',
+            hotkeys: [{ modifiers: [], key: 'Tab' }],
+            editorCheckCallback: (checking, editor) => {
+                if (!this.isListNestingTarget(editor)) return false;
+                if (!checking) this.nestListItems(editor, true);
+                return true;
+            }
+        });
+
+        this.addCommand({
+            id: 'unnest-list-item',
+            name: '列表项减少一级缩进',
+            hotkeys: [{ modifiers: ['Shift'], key: 'Tab' }],
+            editorCheckCallback: (checking, editor) => {
+                if (!this.isListNestingTarget(editor)) return false;
+                if (!checking) this.nestListItems(editor, false);
+                return true;
+            }
+        });
+
+        // 命令17: 在当前列表项内换行（不新建列表项，Shift+Enter 由编辑器按键映射处理）
+        this.addCommand({
+            id: 'continue-list-item',
+            name: '在当前列表项内换行（续行）',
+            editorCheckCallback: (checking, editor) => {
+                if (!this.settings.enableSmartEnter) return false;
+                return this.continueListItem(editor, checking);
+            }
+        });
+
+        // 命令18: 对齐表格列
+        this.addCommand({
+            id: 'align-table',
+            name: '对齐表格列',
+            editorCheckCallback: (checking, editor) => {
+                if (this.findSelectedTables(editor).length === 0) return false;
+                if (!checking) this.alignTables(editor);
+                return true;
+            }
+        });
+
+        // 命令19/20: 按列宽重排段落 / 合并为一行
+        this.addCommand({
+            id: 'reflow-paragraph',
+            name: '按列宽重排段落',
+            editorCallback: (editor) => {
+                this.reflowParagraphs(editor, this.settings.reflowColumn);
+            }
+        });
+
+        this.addCommand({
+            id: 'unwrap-paragraph',
+            name: '将段落合并为一行',
+            editorCallback: (editor) => {
+                this.reflowParagraphs(editor, Infinity);
+            }
+        });
+
+        // 命令21: 合并行（去掉后续行重复的前缀）
+        this.addCommand({
+            id: 'join-lines',
+            name: '合并行（去掉重复的引用和列表前缀）',
+            editorCallback: (editor) => {
+                this.joinLines(editor);
+            }
+        });
+
+        // 命令22 - 27: 结构转换
+        this.addCommand({
+            id: 'convert-to-bullet-list',
+            name: '转换为无序列表',
+            editorCallback: (editor) => {
+                this.convertListType(editor, 'bullet');
+            }
+        });
+
+        this.addCommand({
+            id: 'convert-to-ordered-list',
+            name: '转换为有序列表',
+            editorCallback: (editor) => {
+                this.convertListType(editor, 'ordered');
+            }
+        });
+
+        this.addCommand({
+            id: 'convert-to-task-list',
+            name: '转换为任务列表',
+            editorCallback: (editor) => {
+                this.convertListType(editor, 'task');
+            }
+        });
+
+        this.addCommand({
+            id: 'convert-to-paragraph',
+            name: '转换为普通段落（移除列表标记）',
+            editorCallback: (editor) => {
+                this.convertListType(editor, 'plain');
+            }
+        });
+
+        this.addCommand({
+            id: 'convert-quote-to-indent',
+            name: '引用层级转换为缩进层级',
+            editorCallback: (editor) => {
+                this.convertQuoteToIndent(editor);
+            }
+        });
+
+        this.addCommand({
+            id: 'convert-indent-to-quote',
+            name: '缩进层级转换为引用层级',
+            editorCallback: (editor) => {
+                this.convertIndentToQuote(editor);
+            }
+        });
+
+        // 命令28/29: 按结构扩展 / 收缩选区
+        this.addCommand({
+            id: 'expand-selection',
+            name: '扩展选区到上一级结构',
+            editorCallback: (editor) => {
+                this.expandSelection(editor);
+            }
+        });
+
+        this.addCommand({
+            id: 'shrink-selection',
+            name: '收缩选区到下一级结构',
             editorCallback: (editor) => {
-                this.smartEnter(editor);
+                this.shrinkSelection(editor);
             }
         });
     }
 
+    // ==================== 设置 ====================
+
+    async loadSettings() {
+        this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    }
+
+    async saveSettings() {
+        await this.saveData(this.settings);
+    }
+
+    /**
+     * 获取一个缩进单位的字符串（制表符或若干空格）
+     * 
+     * 设置为自动时，优先使用文档中列表已有的缩进方式，文档中没有时使用库的缩进设置。
+     * 
+     * @param {Editor} [editor] - 用于检测文档缩进
+     */
+    getIndentUnit(editor) {
+        const unit = this.settings.indentUnit;
+        if (unit === 'tab') return '\t';
+        if (unit !== 'auto') return ' '.repeat(parseInt(unit) || 4);
+        
+        const detected = editor && this.detectIndentUnit((i) => editor.getLine(i), editor.lineCount());
+        if (detected) return detected;
+        return this.app.vault.getConfig('useTab') === false ? ' '.repeat(this.getTabSize()) : '\t';
+    }
+
+    /**
+     * 获取制表符宽度（库设置中的 tabSize，默认 4）
+     */
+    getTabSize() {
+        return this.app.vault.getConfig('tabSize') || 4;
+    }
+
+    /**
+     * 从文档中的嵌套列表项检测缩进单位，无法判断时返回 null
+     * 
+     * 比较每个子项与父项的缩进差：以制表符缩进的子项居多时为制表符，
+     * 否则取各空格缩进差的最大公约数（而不是最小值，跨两级的缩进也能识别出同一个单位）。
+     * 有序项下对齐到序号之后的子项（如 "1. a" 下的三个空格）只是对齐，不算一级缩进；
+     * 得到的单位小于 2 列时视为无法判断，交给库的缩进设置。
+     */
+    detectIndentUnit(getLine, lineCount) {
+        const codeLines = this.getCodeLineSet(getLine, lineCount);
+        let tabLines = 0;
+        let spaceLines = 0;
+        let spaceUnit = 0;
+        const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+        
+        // 当前引用层级中的父项栈：缩进宽度和序号之后的内容列
+        let level = null;
+        let stack = [];
+        for (let i = 0; i < lineCount; i++) {
+            if (codeLines.has(i)) continue;
+            const parsed = this.parseLine(getLine(i));
+            if (!parsed.listMarker && parsed.content.trim() === '') continue;
+            
+            const quoteLevel = this.getQuoteLevel(parsed);
+            if (quoteLevel !== level) {
+                level = quoteLevel;
+                stack = [];
+            }
+            const indent = parsed.quotes ? parsed.postQuoteIndent : parsed.preQuoteIndent;
+            const width = this.getIndentWidth(indent);
+            if (!parsed.listMarker) {
+                if (width === 0) stack = [];
+                continue;
+            }
+            
+            while (stack.length > 0 && stack[stack.length - 1].width >= width) stack.pop();
+            const parent = stack[stack.length - 1];
+            stack.push({ width, content: width + parsed.listMarker.length + 1, ordered: !!this.parseOrderedMarker(parsed.listMarker) });
+            if (!parent || (parent.ordered && width === parent.content)) continue;
+            
+            if (indent.includes('\t')) {
+                tabLines++;
+            } else {
+                spaceLines++;
+                spaceUnit = gcd(spaceUnit, width - parent.width);
+            }
+        }
+        
+        if (tabLines === 0 && spaceLines === 0) return null;
+        if (tabLines >= spaceLines) return '\t';
+        return spaceUnit >= 2 ? ' '.repeat(spaceUnit) : null;
+    }
+
+    /**
+     * 获取一层引用符号的字符串（"> " 或 ">"）
+     */
+    getQuoteToken() {
+        return this.settings.quoteStyle === 'compact' ? '>' : '> ';
+    }
+
     // ==================== 核心数据结构 ====================
     
     /**
@@ -89,13 +534,18 @@ module.exports = class BlockIndentController extends Plugin {
      *   quotes: 引用符号字符串,
      *   postQuoteIndent: 引用后缩进字符串,
      *   listMarker: 列表标记（如 "1." 或 "-"），无则为 null,
-     *   content: 内容字符串,
+     *   checkbox: 任务复选框（如 "[ ]"、"[x]"、"[/]"），无则为 null,
+     *   callout: Callout 标题行信息 { type, fold, title, headerEnd }，非标题行为 null,
+     *   content: 内容字符串（Callout 标题行的内容包含 "[!type]" 本身）,
      *   // 辅助信息
      *   prefixEnd: 完整前缀结束位置（不含列表标记）,
-     *   markerEnd: 列表标记结束位置（含空格）
+     *   markerEnd: 列表标记结束位置（含复选框和空格）
      * }
+     * 
+     * @param {string} line
+     * @param {string} [typeHint] - 有序序号类型提示，传给 parseOrderedMarker
      */
-    parseLine(line) {
+    parseLine(line, typeHint) {
         let pos = 0;
         const len = line.length;
         
@@ -138,29 +588,94 @@ module.exports = class BlockIndentController extends Plugin {
             listMarker = unorderedMatch[1];
             markerEnd = pos + unorderedMatch[0].length;
         } else {
-            // 有序列表: 1. 2. 等
-            const orderedMatch = remaining.match(/^(\d+\.)\s+/);
-            if (orderedMatch) {
+            // 有序列表: 1. 1) a. A. i. I. 等
+            const orderedMatch = remaining.match(/^(\d+[.)]|[a-zA-Z]+[.)])\s+/);
+            if (orderedMatch && this.parseOrderedMarker(orderedMatch[1], typeHint)) {
                 listMarker = orderedMatch[1];
                 markerEnd = pos + orderedMatch[0].length;
             }
         }
         
-        // 5. 提取内容
+        // 5. 解析任务复选框（只在列表标记之后出现）
+        let checkbox = null;
+        if (listMarker) {
+            const taskMatch = line.substring(markerEnd).match(/^(\[[^\]]\])(?:\s+|$)/);
+            if (taskMatch) {
+                checkbox = taskMatch[1];
+                markerEnd += taskMatch[0].length;
+            }
+        }
+        
+        // 6. 提取内容
         const content = line.substring(markerEnd);
         
+        // 7. 解析 Callout 标题行：> [!type]+ 标题
+        let callout = null;
+        if (quotes && !listMarker) {
+            const calloutMatch = content.match(/^\[!([^\]]+)\]([+-]?)/);
+            if (calloutMatch) {
+                callout = {
+                    type: calloutMatch[1],
+                    fold: calloutMatch[2],
+                    title: content.substring(calloutMatch[0].length).trim(),
+                    headerEnd: markerEnd + calloutMatch[0].length
+                };
+            }
+        }
+        
         return {
             raw: line,
             preQuoteIndent,
             quotes,
             postQuoteIndent,
             listMarker,
+            checkbox,
+            callout,
             content,
             prefixEnd,
             markerEnd
         };
     }
 
+    /**
+     * 结合上文解析一行
+     * 
+     * "aa." "xl." 这类多字母序号单独无法与普通单词区分，
+     * 只有紧接在同级、同类的上一项之后且序号连续时（如 "z." 之后的 "aa."）才视为列表项。
+     * 
+     * @param {function} getLine - 按行号取行文本
+     * @param {number} lineNo - 要解析的行
+     */
+    parseLineInContext(getLine, lineNo) {
+        const line = getLine(lineNo);
+        const parsed = this.parseLine(line);
+        if (parsed.listMarker || !/^[a-zA-Z]{2,}[.)]\s/.test(parsed.content)) return parsed;
+        
+        // 向上找上一个同级项：更深的行和空行跳过
+        for (let i = lineNo - 1; i >= 0; i--) {
+            const previous = this.parseLineInContext(getLine, i);
+            const depth = this.compareListDepth(parsed, previous);
+            if (depth === null) return parsed;
+            if (!previous.listMarker && previous.content.trim() === '') continue;
+            if (depth > 0) continue;
+            if (depth < 0) return parsed;
+            
+            // 上一项本身可能也是多字母序号，按两种类型分别尝试
+            for (const type of ['alpha', 'roman']) {
+                const family = this.parseOrderedMarker(previous.listMarker, type);
+                if (!family || family.type !== type) continue;
+                const hinted = this.parseLine(line, type);
+                const ordered = this.parseOrderedMarker(hinted.listMarker, type);
+                if (ordered && ordered.type === type && this.isSameOrderedFamily(family, ordered) &&
+                    ordered.value === family.value + 1) {
+                    return hinted;
+                }
+            }
+            return parsed;
+        }
+        return parsed;
+    }
+
     /**
      * 重建行 - 从结构生成字符串
      */
@@ -169,13 +684,23 @@ module.exports = class BlockIndentController extends Plugin {
         line += structure.preQuoteIndent || '';
         line += structure.quotes || '';
         line += structure.postQuoteIndent || '';
-        if (structure.listMarker) {
-            line += structure.listMarker + ' ';
-        }
+        line += this.extractMarker(structure);
         line += structure.content || '';
         return line;
     }
 
+    /**
+     * 提取列表标记部分（含复选框和尾随空格），无列表标记时为空字符串
+     */
+    extractMarker(structure) {
+        if (!structure.listMarker) return '';
+        let marker = structure.listMarker + ' ';
+        if (structure.checkbox) {
+            marker += structure.checkbox + ' ';
+        }
+        return marker;
+    }
+
     /**
      * 提取前缀（不含列表标记）
      */
@@ -185,6 +710,31 @@ module.exports = class BlockIndentController extends Plugin {
                (structure.postQuoteIndent || '');
     }
 
+    /**
+     * 拆分引用符号为逐层的符号数组（如 "> >" → ["> ", ">"]）
+     */
+    splitQuotes(quotes) {
+        return (quotes || '').match(/> ?/g) || [];
+    }
+
+    /**
+     * 在第 index 层位置插入一层引用（0 为最外层），返回新结构
+     */
+    insertQuoteLevel(structure, index, token) {
+        const tokens = this.splitQuotes(structure.quotes);
+        tokens.splice(Math.min(index, tokens.length), 0, token);
+        return { ...structure, quotes: tokens.join('') };
+    }
+
+    /**
+     * 移除第 index 层引用（0 为最外层），返回新结构
+     */
+    removeQuoteLevel(structure, index) {
+        const tokens = this.splitQuotes(structure.quotes);
+        tokens.splice(index, 1);
+        return { ...structure, quotes: tokens.join('') };
+    }
+
     /**
      * 合并前缀 - 用于粘贴功能
      * 
@@ -210,511 +760,3915 @@ module.exports = class BlockIndentController extends Plugin {
 
     /**
      * 生成下一个列表标记
+     * 
+     * @param {string} marker - 当前列表标记
+     * @param {string} [previousMarker] - 上一个同级列表标记，用于区分 "v." 这类
+     *                                    既可能是字母也可能是罗马数字的序号
      */
-    getNextListMarker(marker) {
+    getNextListMarker(marker, previousMarker) {
         if (!marker) return null;
         
-        // 有序列表：递增数字
-        const numMatch = marker.match(/^(\d+)\.$/);
-        if (numMatch) {
-            const num = parseInt(numMatch[1]);
-            return (num + 1) + '.';
+        // 有序列表：递增序号
+        const typeHint = previousMarker && !/^\d/.test(marker) ? this.resolveLetterListType([previousMarker, marker]) : undefined;
+        const ordered = this.parseOrderedMarker(marker, typeHint);
+        if (ordered) {
+            return this.formatOrderedMarker(ordered, ordered.value + 1);
         }
         
         // 无序列表：保持相同
         return marker;
     }
 
-    // ==================== 智能换行功能 ====================
-    
     /**
-     * 智能换行 - 完全重写
+     * 解析有序列表标记
      * 
-     * 核心逻辑：
-     * 1. 解析当前行结构
-     * 2. 判断光标位置
-     * 3. 根据场景执行对应操作
+     * 支持的序号类型：
+     * - decimal: 1. 2. 或 1) 2)
+     * - alpha:   a. b. … z. aa. ab.（大小写均可，最多两个字母）
+     * - roman:   i. ii. iii. iv.（大小写均可）
+     * 
+     * 单个 i/v/x/l/c/d/m 同时是合法字母和罗马数字：默认只有 "i" 视为罗马数字，
+     * 其余视为字母；传入 typeHint 时优先按提示类型解析。
+     * 
+     * 没有 typeHint 时，多字母序号只接受由 i/v/x 组成的罗马数字（"ii." "xiv."），
+     * 以免 "OK." "vs." "mix." 这类普通单词被当成列表标记；
+     * "aa." "xl." 等只有在上一个同级项确定了类型后才能解析（见 parseLineInContext）。
+     * 
+     * @param {string} marker - 列表标记（如 "1." "b)" "IV."）
+     * @param {string} [typeHint] - 'alpha' | 'roman'
+     * @returns {{type: string, value: number, delimiter: string, upper: boolean}|null}
+     *          非有序列表标记返回 null
      */
-    smartEnter(editor) {
-        const cursor = editor.getCursor();
-        const line = editor.getLine(cursor.line);
-        const cursorPos = cursor.ch;
+    parseOrderedMarker(marker, typeHint) {
+        const match = (marker || '').match(/^(\d+|[a-z]+|[A-Z]+)([.)])$/);
+        if (!match) return null;
         
-        const parsed = this.parseLine(line);
+        const body = match[1];
+        const delimiter = match[2];
         
-        // === 场景判断 ===
+        if (/^\d+$/.test(body)) {
+            return { type: 'decimal', value: parseInt(body), delimiter, upper: false };
+        }
+        
+        const upper = body === body.toUpperCase();
+        const romanValue = this.fromRoman(body.toLowerCase());
+        const alphaValue = body.length <= 2 ? this.fromAlpha(body.toLowerCase()) : 0;
+        
+        let type = null;
+        if (typeHint === 'roman' && romanValue) {
+            type = 'roman';
+        } else if (typeHint === 'alpha' && alphaValue) {
+            type = 'alpha';
+        } else if (body.length > 1) {
+            type = romanValue && /^[ivx]+$/i.test(body) ? 'roman' : null;
+        } else if (body.toLowerCase() === 'i') {
+            type = 'roman';
+        } else {
+            type = 'alpha';
+        }
+        if (!type) return null;
+        
+        return {
+            type,
+            value: type === 'roman' ? romanValue : alphaValue,
+            delimiter,
+            upper
+        };
+    }
+
+    /**
+     * 按给定序号生成同类型的有序列表标记
+     */
+    formatOrderedMarker(ordered, value) {
+        let body;
+        if (ordered.type === 'alpha') {
+            body = this.toAlpha(value);
+        } else if (ordered.type === 'roman') {
+            body = this.toRoman(value);
+        } else {
+            body = String(value);
+        }
+        return (ordered.upper ? body.toUpperCase() : body) + ordered.delimiter;
+    }
+
+    /**
+     * 判断两个有序列表标记是否属于同一种列表
+     * 
+     * 分隔符必须相同；字母和罗马数字只要大小写一致即视为同一种
+     * （单个字母无法区分两者，由整组列表决定最终类型）。
+     */
+    isSameOrderedFamily(a, b) {
+        if (!a || !b || a.delimiter !== b.delimiter) return false;
+        if (a.type === 'decimal' || b.type === 'decimal') return a.type === b.type;
+        return a.upper === b.upper;
+    }
+
+    /**
+     * 判断一组字母/罗马序号标记整体属于哪种类型
+     * 
+     * 全部是合法罗马数字，且以 i 开头或含多字符罗马数字时视为罗马数字，否则视为字母。
+     */
+    resolveLetterListType(markers) {
+        const bodies = markers.map(marker => marker.slice(0, -1).toLowerCase());
+        const allRoman = bodies.every(body => this.fromRoman(body));
+        const looksRoman = bodies[0] === 'i' || bodies.some(body => body.length > 1 && this.fromRoman(body));
+        return allRoman && looksRoman ? 'roman' : 'alpha';
+    }
+
+    /**
+     * 判断已解析出的列表标记是否为有序标记（包括依赖上文才能解析的多字母序号）
+     */
+    isOrderedMarker(marker) {
+        return !!marker && !!this.parseOrderedMarker(marker, this.resolveLetterListType([marker]));
+    }
+
+    /**
+     * 字母序号 → 数值（a=1 … z=26, aa=27），非法返回 0
+     */
+    fromAlpha(text) {
+        if (!/^[a-z]+$/.test(text)) return 0;
+        let value = 0;
+        for (const ch of text) {
+            value = value * 26 + (ch.charCodeAt(0) - 96);
+        }
+        return value;
+    }
+
+    /**
+     * 数值 → 字母序号（26 → z, 27 → aa）
+     */
+    toAlpha(value) {
+        let text = '';
+        while (value > 0) {
+            const rem = (value - 1) % 26;
+            text = String.fromCharCode(97 + rem) + text;
+            value = Math.floor((value - 1) / 26);
+        }
+        return text || 'a';
+    }
+
+    /**
+     * 罗马数字 → 数值，非法（或非标准写法）返回 0
+     */
+    fromRoman(text) {
+        if (!text || !/^m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/.test(text)) return 0;
+        const values = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+        let value = 0;
+        for (let i = 0; i < text.length; i++) {
+            const current = values[text[i]];
+            const next = values[text[i + 1]] || 0;
+            value += current < next ? -current : current;
+        }
+        return value;
+    }
+
+    /**
+     * 数值 → 罗马数字（小写）
+     */
+    toRoman(value) {
+        const table = [
+            [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'],
+            [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'],
+            [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+        ];
+        let text = '';
+        for (const [amount, symbol] of table) {
+            while (value >= amount) {
+                text += symbol;
+                value -= amount;
+            }
+        }
+        return text || 'i';
+    }
+
+    /**
+     * 计算缩进字符串的视觉宽度（制表符按库设置的制表符宽度对齐到制表位）
+     */
+    getIndentWidth(indent) {
+        const tabSize = this.getTabSize();
+        let width = 0;
+        for (const ch of indent || '') {
+            width = ch === '\t' ? width + tabSize - (width % tabSize) : width + 1;
+        }
+        return width;
+    }
+
+    /**
+     * 计算文本的显示宽度：中日韩文字和全角符号占两列，其余字符占一列
+     */
+    getStringWidth(text) {
+        let width = 0;
+        for (const char of text || '') {
+            width += this.isWideChar(char) ? 2 : 1;
+        }
+        return width;
+    }
+
+    /**
+     * 判断字符是否为双倍宽度（东亚宽字符和全角字符）
+     */
+    isWideChar(char) {
+        return /[\u1100-\u115F\u2E80-\u303E\u3041-\u33FF\u3400-\u4DBF\u4E00-\u9FFF\uA000-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]|[\u{20000}-\u{3FFFD}]/u.test(char);
+    }
+
+    /**
+     * 统计引用层级
+     */
+    getQuoteLevel(structure) {
+        return ((structure.quotes || '').match(/>/g) || []).length;
+    }
+
+    /**
+     * 判断复选框是否为已完成状态（[x] / [X]）
+     */
+    isCheckboxChecked(checkbox) {
+        return /^\[[xX]\]$/.test(checkbox || '');
+    }
+
+    // ==================== 多光标行级编辑 ====================
+
+    /**
+     * 构造行级编辑：用 text 替换 startLine 到 endLine 的整行
+     * 
+     * anchor / head 是编辑后的选区位置，按“只应用这一个编辑”时的行号计算；
+     * 不传 anchor 时编辑不携带选区，范围内的原有光标按编辑映射。
+     */
+    makeLineEdit(startLine, endLine, text, anchor, head = anchor) {
+        return { startLine, endLine, text, selections: anchor ? [{ anchor, head }] : null };
+    }
+
+    /**
+     * 合并逐个光标计算出的互相重叠的行级编辑
+     * 
+     * 没有重叠时原样返回。有重叠时（如同一行上的两个光标），在内存中的文档上
+     * 按文档顺序逐个光标重新计算并应用编辑，后面的光标先按前面的编辑映射，
+     * 最后合并为一个覆盖全部改动的编辑，所有光标都保留。
+     * 
+     * @param {Array} selections - 与 edits 一一对应的选区
+     * @param {Array} edits - 基于原文档计算的编辑（可含 null）
+     * @param {function} computeEdit - (doc, selection) → 行级编辑或 null；
+     *        doc 提供 getLine / lineCount / lastLine，与 editor 的同名方法一致
+     * @returns {Array} 可直接交给 applyLineEdits 的编辑
+     */
+    resolveOverlappingEdits(editor, selections, edits, computeEdit) {
+        const sorted = edits.filter(Boolean).sort((a, b) => a.startLine - b.startLine);
+        if (!sorted.some((edit, index) => index > 0 && edit.startLine <= sorted[index - 1].endLine)) {
+            return edits;
+        }
+        
+        const lines = [];
+        for (let i = 0; i < editor.lineCount(); i++) {
+            lines.push(editor.getLine(i));
+        }
+        const doc = {
+            getLine: (i) => lines[i],
+            lineCount: () => lines.length,
+            lastLine: () => lines.length - 1
+        };
+        
+        // 已改动的行范围：原文档中的 origStart..origEnd 对应当前文档中的 curStart..curEnd
+        let region = null;
+        const placed = [];
+        // 完全相同的选区只计算一次
+        const pending = selections.filter((selection, index) => !selections.slice(0, index).some(other =>
+            this.isSameSelections([other], [selection])
+        )).sort((a, b) => {
+            const from = this.getSelectionBounds(a).from;
+            const other = this.getSelectionBounds(b).from;
+            return from.line - other.line || from.ch - other.ch;
+        });
+        
+        while (pending.length > 0) {
+            const selection = pending.shift();
+            const edit = computeEdit(doc, selection);
+            if (!edit) {
+                placed.push(selection);
+                continue;
+            }
+            
+            const oldLines = lines.slice(edit.startLine, edit.endLine + 1);
+            const newLines = edit.text.split('\n');
+            const mapSelection = ({ anchor, head }, assoc) => ({
+                anchor: this.mapPosThroughReplacedLines(anchor, edit.startLine, oldLines, newLines, assoc),
+                head: this.mapPosThroughReplacedLines(head, edit.startLine, oldLines, newLines, assoc)
+            });
+            placed.forEach((item, index) => { placed[index] = mapSelection(item, -1); });
+            pending.forEach((item, index) => { pending[index] = mapSelection(item, 1); });
+            placed.push(...(edit.selections || [mapSelection(selection, 1)]));
+            
+            if (!region) {
+                region = { origStart: edit.startLine, origEnd: edit.endLine, curStart: edit.startLine, curEnd: edit.endLine };
+            } else {
+                // 范围之上的行没有改动，行号与原文档一致；之下的行整体平移
+                if (edit.startLine < region.curStart) {
+                    region.origStart = edit.startLine;
+                    region.curStart = edit.startLine;
+                }
+                if (edit.endLine > region.curEnd) {
+                    region.origEnd += edit.endLine - region.curEnd;
+                    region.curEnd = edit.endLine;
+                }
+            }
+            region.curEnd += newLines.length - oldLines.length;
+            lines.splice(edit.startLine, oldLines.length, ...newLines);
+        }
+        
+        return [{
+            startLine: region.origStart,
+            endLine: region.origEnd,
+            text: lines.slice(region.curStart, region.curEnd + 1).join('\n'),
+            selections: placed,
+            renumber: edits.some(edit => edit && edit.renumber)
+        }];
+    }
+
+    /**
+     * 把位置映射到 startLine 起的 oldLines 被替换为 newLines 之后的文档中
+     * 
+     * 替换范围内的位置按整段文字的实际改动映射（见 mapPosThroughLineChange）。
+     */
+    mapPosThroughReplacedLines(pos, startLine, oldLines, newLines, assoc) {
+        if (pos.line < startLine) return pos;
+        if (pos.line >= startLine + oldLines.length) {
+            return { line: pos.line + newLines.length - oldLines.length, ch: pos.ch };
+        }
+        
+        let offset = pos.ch;
+        for (let i = 0; i < pos.line - startLine; i++) {
+            offset += oldLines[i].length + 1;
+        }
+        offset = this.mapPosThroughLineChange(offset, oldLines.join('\n'), newLines.join('\n'), assoc);
+        
+        let line = 0;
+        while (line < newLines.length - 1 && offset > newLines[line].length) {
+            offset -= newLines[line].length + 1;
+            line++;
+        }
+        return { line: startLine + line, ch: offset };
+    }
+
+    /**
+     * 在一个事务中应用多个行级编辑（多光标）
+     * 
+     * 所有编辑都基于原文档计算，变更从下往上排列；
+     * 每个编辑的选区按其上方编辑造成的行数变化平移。
+     * 编辑之间不能重叠（与前一个编辑重叠的编辑被忽略），
+     * 逐个光标计算的编辑先经 resolveOverlappingEdits 合并。
+     * 不在任何带选区的编辑范围内的原有选区，按编辑映射到新位置后保留。
+     * 
+     * 自动重新编号也并入同一个事务，一次撤销即可还原文本和原来的选区。
+     * 
+     * @param {object} [options]
+     * @param {boolean} [options.replaceSelections] - 每个原有选区都产生了编辑时使用，只保留编辑给出的选区
+     * @param {boolean} [options.renumber] - 对所有编辑涉及的有序列表重新编号（单个编辑也可用 renumber 标记）
+     * @returns {Array} 实际应用的编辑，附带编辑后的行范围 newStartLine / newEndLine
+     */
+    applyLineEdits(editor, edits, options = {}) {
+        const sorted = edits.filter(Boolean).sort((a, b) => a.startLine - b.startLine);
+        const accepted = [];
+        for (const edit of sorted) {
+            const previous = accepted[accepted.length - 1];
+            if (previous && edit.startLine <= previous.endLine) continue;
+            accepted.push(edit);
+        }
+        if (accepted.length === 0) return [];
+        
+        // 原有选区中不属于任何编辑的部分
+        const ownedBy = (pos) => accepted.some(edit =>
+            edit.selections && pos.line >= edit.startLine && pos.line <= edit.endLine
+        );
+        const selections = (options.replaceSelections ? [] : editor.listSelections())
+            .filter(selection => !ownedBy(selection.head))
+            .map(selection => ({
+                from: this.mapPosThroughLineEdits(selection.anchor, accepted),
+                to: this.mapPosThroughLineEdits(selection.head, accepted)
+            }));
+        
+        // 编辑后的文档：未修改的行记录原行号，用于把重新编号换算回原文档
+        const newDocument = [];
+        const originalLineOf = [];
+        const applied = [];
+        let line = 0;
+        const copyUntil = (endLine) => {
+            for (; line < endLine; line++) {
+                newDocument.push(editor.getLine(line));
+                originalLineOf.push(line);
+            }
+        };
+        for (const edit of accepted) {
+            copyUntil(edit.startLine);
+            const lines = edit.text.split('\n');
+            const newStartLine = newDocument.length;
+            const shift = (pos) => ({ line: pos.line + newStartLine - edit.startLine, ch: pos.ch });
+            for (const selection of edit.selections || []) {
+                selections.push({ from: shift(selection.anchor), to: shift(selection.head) });
+            }
+            applied.push({ ...edit, lines, newStartLine, newEndLine: newStartLine + lines.length - 1 });
+            for (const text of lines) {
+                newDocument.push(text);
+                originalLineOf.push(null);
+            }
+            line = edit.endLine + 1;
+        }
+        copyUntil(editor.lineCount());
+        
+        // 重新编号：落在编辑内的改写编辑文本，落在未修改行的作为额外变更
+        const extraChanges = [];
+        const renumberRanges = applied
+            .filter(edit => options.renumber || edit.renumber)
+            .map(edit => ({ startLine: edit.newStartLine - 1, endLine: edit.newEndLine + 1 }));
+        if (this.settings.autoRenumber && renumberRanges.length > 0) {
+            const markerEdits = this.collectRenumberEdits((i) => newDocument[i], newDocument.length, renumberRanges);
+            for (const marker of markerEdits) {
+                const owner = applied.find(edit => marker.line >= edit.newStartLine && marker.line <= edit.newEndLine);
+                if (owner) {
+                    const index = marker.line - owner.newStartLine;
+                    const text = owner.lines[index];
+                    owner.lines[index] = text.substring(0, marker.from) + marker.text + text.substring(marker.to);
+                } else {
+                    const originalLine = originalLineOf[marker.line];
+                    extraChanges.push({
+                        from: { line: originalLine, ch: marker.from },
+                        to: { line: originalLine, ch: marker.to },
+                        text: marker.text
+                    });
+                }
+                
+                // 同一行标记之后的选区端点随标记长度变化平移
+                const delta = marker.text.length - (marker.to - marker.from);
+                for (const selection of selections) {
+                    for (const key of ['from', 'to']) {
+                        const pos = selection[key];
+                        if (pos.line === marker.line && pos.ch >= marker.to) {
+                            selection[key] = { line: pos.line, ch: pos.ch + delta };
+                        }
+                    }
+                }
+            }
+        }
+        
+        const changes = accepted.map((edit, index) => ({
+            from: { line: edit.startLine, ch: 0 },
+            to: { line: edit.endLine, ch: editor.getLine(edit.endLine).length },
+            text: applied[index].lines.join('\n')
+        })).concat(extraChanges)
+            .sort((a, b) => b.from.line - a.from.line || b.from.ch - a.from.ch);
+        
+        editor.transaction({ changes, selections });
+        return applied;
+    }
+
+    /**
+     * 将原文档中的位置映射到应用行级编辑之后的位置
+     * 
+     * 位于某个编辑内部的位置保持相对行号，并限制在新内容范围内。
+     * 
+     * @param {Array} edits - 按起始行升序、互不重叠的编辑
+     */
+    mapPosThroughLineEdits(pos, edits) {
+        let lineDelta = 0;
+        for (const edit of edits) {
+            if (pos.line < edit.startLine) break;
+            const newLines = edit.text.split('\n');
+            if (pos.line <= edit.endLine) {
+                const index = Math.min(pos.line - edit.startLine, newLines.length - 1);
+                return {
+                    line: edit.startLine + lineDelta + index,
+                    ch: Math.min(pos.ch, newLines[index].length)
+                };
+            }
+            lineDelta += newLines.length - (edit.endLine - edit.startLine + 1);
+        }
+        return { line: pos.line + lineDelta, ch: pos.ch };
+    }
+
+    /**
+     * 获取选区的起点和终点（按文档顺序）
+     * 
+     * @returns {{from: object, to: object, headFirst: boolean}} headFirst: 光标（head）是否在起点
+     */
+    getSelectionBounds({ anchor, head }) {
+        const headFirst = head.line < anchor.line || (head.line === anchor.line && head.ch < anchor.ch);
+        return headFirst ? { from: head, to: anchor, headFirst } : { from: anchor, to: head, headFirst };
+    }
+
+    /**
+     * 获取所有选区覆盖的行范围，重叠的范围合并
+     * 
+     * @param {function} [expandRange] - (startLine, endLine) → {startLine, endLine}，用于扩展范围
+     * @returns {Array<{startLine: number, endLine: number, selections: Array}>}
+     */
+    getSelectionLineRanges(editor, expandRange) {
+        const ranges = editor.listSelections().map(selection => {
+            const { from, to } = this.getSelectionBounds(selection);
+            let range = { startLine: from.line, endLine: to.line };
+            if (expandRange) range = expandRange(range.startLine, range.endLine);
+            return { ...range, selections: [selection] };
+        }).sort((a, b) => a.startLine - b.startLine);
+        
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range.startLine <= last.endLine) {
+                last.endLine = Math.max(last.endLine, range.endLine);
+                last.selections.push(...range.selections);
+            } else {
+                merged.push(range);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * 逐行变换所有选区覆盖的行，在一个事务中应用
+     * 
+     * @param {function} transformLines - (parsedLines, startLine) → string[]，返回新的行
+     * @param {object} [options]
+     * @param {function} [options.expandRange] - 扩展行范围
+     * @param {function} [options.mapPos] - (pos, context, assoc) → 新位置；context 含 startLine / parsedLines / newLines。
+     *        未提供时：行数不变则按每行实际插入、删除的范围映射，否则选区扩展为整行
+     * @param {boolean} [options.renumber] - 编辑后对涉及的有序列表重新编号
+     * @returns {Array} 实际应用的编辑
+     */
+    editSelectedLines(editor, transformLines, options = {}) {
+        const ranges = this.getSelectionLineRanges(editor, options.expandRange);
+        
+        const edits = ranges.map(range => {
+            const parsedLines = [];
+            for (let i = range.startLine; i <= range.endLine; i++) {
+                parsedLines.push(this.parseLine(editor.getLine(i)));
+            }
+            const newLines = transformLines(parsedLines, range.startLine);
+            const context = { startLine: range.startLine, parsedLines, newLines };
+            
+            const sameLineCount = newLines.length === parsedLines.length;
+            const mapPos = options.mapPos || ((pos, context, assoc) => {
+                const index = pos.line - range.startLine;
+                const ch = this.mapPosThroughLineChange(pos.ch, parsedLines[index].raw, newLines[index], assoc);
+                return { line: pos.line, ch };
+            });
+            
+            const selections = range.selections.map(({ anchor, head }) => {
+                const empty = anchor.line === head.line && anchor.ch === head.ch;
+                if (!empty && !options.mapPos && !sameLineCount) {
+                    return {
+                        anchor: { line: range.startLine, ch: 0 },
+                        head: { line: range.startLine + newLines.length - 1, ch: newLines[newLines.length - 1].length }
+                    };
+                }
+                // 选区的起点不吸收边界处插入的内容，终点和光标则移到插入内容之后
+                const { headFirst } = this.getSelectionBounds({ anchor, head });
+                const anchorAssoc = empty || headFirst ? 1 : -1;
+                const headAssoc = empty || !headFirst ? 1 : -1;
+                return { anchor: mapPos(anchor, context, anchorAssoc), head: mapPos(head, context, headAssoc) };
+            });
+            
+            return { startLine: range.startLine, endLine: range.endLine, text: newLines.join('\n'), selections };
+        });
+        
+        return this.applyLineEdits(editor, edits, { replaceSelections: true, renumber: options.renumber });
+    }
+
+    /**
+     * 把行内位置映射到修改后的行
+     * 
+     * 按新旧两行的公共后缀和公共前缀求出实际被替换的范围：
+     * 范围之前的位置不变，之后的位置按长度变化平移，范围内的位置限制在新内容内。
+     * 先取公共后缀，使重复字符（如 `> > ` 前再加 `> `）的变更落在靠左的前缀一侧。
+     * 
+     * @param {number} assoc - 正好位于插入点时：1 移到插入内容之后，-1 留在之前
+     */
+    mapPosThroughLineChange(ch, oldLine, newLine, assoc = 1) {
+        const minLength = Math.min(oldLine.length, newLine.length);
+        let suffix = 0;
+        while (suffix < minLength &&
+               oldLine[oldLine.length - 1 - suffix] === newLine[newLine.length - 1 - suffix]) {
+            suffix++;
+        }
+        let start = 0;
+        while (start < minLength - suffix && oldLine[start] === newLine[start]) start++;
+        const oldEnd = oldLine.length - suffix;
+        const newEnd = newLine.length - suffix;
+        
+        if (ch < start) return ch;
+        if (ch === start && start === oldEnd) return assoc < 0 ? start : newEnd;
+        if (ch >= oldEnd) return ch + newEnd - oldEnd;
+        return Math.min(ch, newEnd);
+    }
+
+    // ==================== 代码块识别 ====================
+
+    /**
+     * 匹配代码块围栏行的内容（已去除引用、缩进和列表标记）
+     * 
+     * @returns {{char: string, length: number}|null}
+     */
+    matchFence(content) {
+        const match = content.match(/^(`{3,}|~{3,})(.*)$/);
+        if (!match) return null;
+        // 反引号围栏的信息字符串中不能再出现反引号
+        if (match[1][0] === '`' && match[2].includes('`')) return null;
+        return { char: match[1][0], length: match[1].length };
+    }
+
+    /**
+     * 扫描文档中的围栏代码块（``` 或 ~~~），支持嵌套在引用和列表中的代码块
+     * 
+     * 代码块在遇到同字符、长度不小于开头的围栏行时结束；
+     * 所在引用层级结束（出现更浅的引用行）时也隐式结束。
+     * 
+     * @param {function} getLine - 按行号取行文本
+     * @param {number} lineCount - 总行数
+     * @param {number} [untilLine] - 扫描到该行之后且不在代码块中时提前停止
+     * @returns {Array<{start: number, end: number, closed: boolean, quoteLevel: number,
+     *                  char: string, length: number}>}
+     *          start / end 为开头、结尾围栏所在行；未闭合时 end 为最后一个代码行
+     */
+    scanCodeBlocks(getLine, lineCount, untilLine = lineCount - 1) {
+        const blocks = [];
+        let open = null;
+        
+        for (let i = 0; i < lineCount; i++) {
+            const parsed = this.parseLine(getLine(i));
+            
+            if (open) {
+                const level = this.getQuoteLevel(parsed);
+                if (level < open.quoteLevel) {
+                    // 容器已结束，代码块随之结束，本行继续按普通行判断
+                    blocks.push({ ...open, end: i - 1, closed: false });
+                    open = null;
+                } else {
+                    // 结尾围栏：只有围栏字符，无信息字符串
+                    const rest = level === open.quoteLevel ? parsed.raw.substring(parsed.prefixEnd) : '';
+                    const closing = rest.match(/^(`{3,}|~{3,})\s*$/);
+                    if (closing && closing[1][0] === open.char && closing[1].length >= open.length) {
+                        blocks.push({ ...open, end: i, closed: true });
+                        open = null;
+                    }
+                    continue;
+                }
+            }
+            
+            if (i > untilLine) break;
+            
+            const fence = this.matchFence(parsed.content);
+            if (fence) {
+                open = { start: i, quoteLevel: this.getQuoteLevel(parsed), char: fence.char, length: fence.length };
+            }
+        }
+        
+        if (open) {
+            blocks.push({ ...open, end: lineCount - 1, closed: false });
+        }
+        return blocks;
+    }
+
+    /**
+     * 查找包含指定行的代码块（含围栏行），不在代码块中返回 null
+     */
+    findCodeBlockAt(getLine, lineCount, lineNo) {
+        const blocks = this.scanCodeBlocks(getLine, lineCount, lineNo);
+        return blocks.find(block => block.start <= lineNo && lineNo <= block.end) || null;
+    }
+
+    /**
+     * 判断行是否为代码块内部的代码行（不含围栏行）
+     */
+    isCodeLine(block, lineNo) {
+        return !!block && lineNo > block.start && (lineNo < block.end || !block.closed);
+    }
+
+    /**
+     * 收集所有代码块中开头围栏之后的行号（含结尾围栏）
+     * 
+     * 开头围栏行本身仍可能是列表项（如 "- ```js"），按普通行处理。
+     */
+    getCodeLineSet(getLine, lineCount) {
+        const lines = new Set();
+        for (const block of this.scanCodeBlocks(getLine, lineCount)) {
+            for (let i = block.start + 1; i <= block.end; i++) {
+                lines.add(i);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * 代码行的前缀：代码块所在的引用层级 + 行首空白（列表续行缩进和代码自身缩进）
+     * 
+     * 代码内容中的 ">" 和列表标记都视为代码本身，不计入前缀。
+     */
+    getCodeLinePrefix(parsed, block) {
+        const quotes = this.splitQuotes(parsed.quotes).slice(0, block.quoteLevel).join('');
+        const rest = parsed.raw.substring(parsed.preQuoteIndent.length + quotes.length);
+        return parsed.preQuoteIndent + quotes + rest.match(/^[ \t]*/)[0];
+    }
+
+    /**
+     * 扩展行范围，使其完整包含任何被部分覆盖围栏行的代码块
+     * 
+     * 只选中代码块内部的代码行时不扩展，允许单独调整代码缩进。
+     */
+    expandRangeToCodeBlocks(editor, startLine, endLine) {
+        const getLine = (i) => editor.getLine(i);
+        const blocks = this.scanCodeBlocks(getLine, editor.lineCount(), endLine);
+        
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const block of blocks) {
+                const touchesFence = (block.start >= startLine && block.start <= endLine) ||
+                                     (block.closed && block.end >= startLine && block.end <= endLine);
+                if (touchesFence && (block.start < startLine || block.end > endLine)) {
+                    startLine = Math.min(startLine, block.start);
+                    endLine = Math.max(endLine, block.end);
+                    changed = true;
+                }
+            }
+        }
+        return { startLine, endLine };
+    }
+
+    // ==================== 编辑器按键 ====================
+
+    /**
+     * 注册 Enter / Shift+Enter / Backspace 的 CodeMirror 按键映射
+     * 
+     * 使用 Prec.high：先于 Obsidian 内置的列表延续处理，
+     * 返回 false 时依次交给其他插件的按键映射和编辑器默认行为。
+     */
+    registerEditorKeymap() {
+        this.registerEditorExtension(Prec.high(keymap.of([
+            {
+                key: 'Enter',
+                run: (view) => this.runEditorKey(view, (editor) =>
+                    this.settings.enableSmartEnter && this.smartEnter(editor))
+            },
+            {
+                key: 'Shift-Enter',
+                run: (view) => this.runEditorKey(view, (editor) =>
+                    this.settings.enableSmartEnter && this.continueListItem(editor))
+            },
+            {
+                key: 'Backspace',
+                run: (view) => this.runEditorKey(view, (editor) =>
+                    this.settings.enableSmartBackspace && this.smartBackspace(editor))
+            }
+        ])));
+    }
+
+    /**
+     * 执行按键处理，返回是否已处理
+     * 
+     * 以下情况不处理，交给其他按键映射和默认行为：
+     * - 输入法正在组字（Enter 用于确认候选词）
+     * - 链接、标签等补全弹窗已打开（Enter 用于选择候选项）
+     * - Vim 模式下不在插入模式
+     * - 处理函数返回 false（如当前行没有需要继承或移除的结构）
+     */
+    runEditorKey(view, handler) {
+        if (view.composing || view.compositionStarted) return false;
+        if (this.isSuggestPopupOpen(view)) return false;
+        if (this.isVimNormalMode(view)) return false;
+        
+        const info = view.state.field(editorInfoField, false);
+        if (!info || !info.editor) return false;
+        return !!handler(info.editor);
+    }
+
+    /**
+     * 判断编辑器的补全弹窗（EditorSuggest）是否打开
+     */
+    isSuggestPopupOpen(view) {
+        return !!view.dom.ownerDocument.querySelector('body > .suggestion-container');
+    }
+
+    /**
+     * 判断是否处于 Vim 的普通 / 可视模式
+     */
+    isVimNormalMode(view) {
+        const vim = view.cm && view.cm.state && view.cm.state.vim;
+        return !!vim && !vim.insertMode;
+    }
+
+    // ==================== 智能换行功能 ====================
+    
+    /**
+     * 智能换行 - 完全重写
+     * 
+     * 核心逻辑：
+     * 1. 解析当前行结构
+     * 2. 判断光标位置
+     * 3. 根据场景执行对应操作
+     * 
+     * 每个光标独立计算，所有编辑在一个事务中应用。
+     * 
+     * @returns {boolean} 是否适用；不适用时交给默认换行
+     */
+    smartEnter(editor, checking = false) {
+        // 拆分、退出列表项的编辑带有 renumber 标记，后续序号随之重新编排
+        return this.applyEnterEdits(editor, (doc, cursor) => this.computeEnterEdit(doc, cursor), checking);
+    }
+
+    /**
+     * 计算并应用每个光标处的换行编辑
+     * 
+     * 有选区，或所有编辑都只是普通换行（当前行没有需要继承的结构）时不适用，
+     * 由编辑器默认行为处理。
+     * 
+     * @param {function} computeEdit - (doc, cursor) → 行级编辑；doc 为编辑器或 resolveOverlappingEdits 的内存文档
+     * @returns {boolean} 是否适用
+     */
+    applyEnterEdits(editor, computeEdit, checking) {
+        const selections = editor.listSelections();
+        if (selections.some(({ anchor, head }) => anchor.line !== head.line || anchor.ch !== head.ch)) return false;
+        
+        const edits = selections.map(selection => computeEdit(editor, selection.head));
+        const structural = edits.some((edit, index) => {
+            const cursor = selections[index].head;
+            const line = editor.getLine(cursor.line);
+            return edit.startLine !== cursor.line || edit.endLine !== cursor.line ||
+                   edit.text !== line.substring(0, cursor.ch) + '\n' + line.substring(cursor.ch);
+        });
+        if (!structural) return false;
+        if (checking) return true;
+        
+        const resolved = this.resolveOverlappingEdits(editor, selections, edits, (doc, selection) => computeEdit(doc, selection.head));
+        this.applyLineEdits(editor, resolved, { replaceSelections: true });
+        return true;
+    }
+
+    /**
+     * 计算单个光标处的换行编辑
+     */
+    computeEnterEdit(editor, cursor) {
+        const line = editor.getLine(cursor.line);
+        const cursorPos = cursor.ch;
+        
+        const parsed = this.parseLineInContext((i) => editor.getLine(i), cursor.line);
+        
+        // === 场景判断 ===
+        
+        // 场景0: 代码块内部或围栏开头行
+        // 代码中的 "- "、"1." 等都是代码本身，不做列表延续
+        const block = this.findCodeBlockAt((i) => editor.getLine(i), editor.lineCount(), cursor.line);
+        if (this.isCodeLine(block, cursor.line)) {
+            return this.handleCodeEnter(editor, cursor, line, this.getCodeLinePrefix(parsed, block), cursorPos);
+        }
+        if (block && block.start === cursor.line && cursorPos >= parsed.markerEnd) {
+            // 列表中的代码块：正文对齐到列表内容列
+            const codePrefix = this.extractPrefix(parsed) + ' '.repeat(parsed.markerEnd - parsed.prefixEnd);
+            return this.handleCodeEnter(editor, cursor, line, codePrefix, cursorPos);
+        }
         
         // 场景1: 空引用行（最高优先级）
         // 实现 Obsidian 默认的逐层退出引用块机制
         // 条件：有引用符号 + 无列表标记 + 内容为空
         if (parsed.quotes && !parsed.listMarker && parsed.content.trim() === '') {
-            this.handleEmptyQuoteEnter(editor, cursor, line, parsed);
+            return this.handleEmptyQuoteEnter(editor, cursor, line, parsed);
+        }
+        
+        // 场景2: 光标在前缀中（引用、缩进部分）
+        // 注意：要排除已经被场景1处理的空引用行
+        if (cursorPos < parsed.prefixEnd) {
+            return this.handleEnterInPrefix(editor, cursor, line, parsed, cursorPos);
+        }
+        
+        // 场景2.5: 表格行（含引用、Callout 中的表格）
+        // 光标在行末时新增表格行，在最后的空行上时退出表格；在单元格中间时按普通行处理
+        if (!parsed.listMarker) {
+            const table = this.findTableAt((i) => editor.getLine(i), editor.lineCount(), cursor.line);
+            const edit = table && this.handleTableEnter(editor, cursor, line, parsed, table, cursorPos);
+            if (edit) return edit;
+        }
+        
+        // 场景3: 在列表项中
+        if (parsed.listMarker) {
+            let edit;
+            if (cursorPos < parsed.markerEnd) {
+                // 场景2.1: 光标在列表标记中
+                edit = this.handleEnterInMarker(editor, cursor, line, parsed, cursorPos);
+            } else if (parsed.content.trim() === '') {
+                // 场景2.2: 空列表项（内容为空）
+                edit = this.handleEmptyListEnter(editor, cursor, line, parsed);
+            } else {
+                // 场景3.3: 非空列表项
+                edit = this.handleListEnter(editor, cursor, line, parsed, cursorPos);
+            }
+            return { ...edit, renumber: true };
+        }
+        
+        // 场景4: Callout 标题行
+        if (parsed.callout) {
+            return this.handleCalloutHeaderEnter(editor, cursor, line, parsed, cursorPos);
+        }
+        
+        // 场景5: 普通行
+        return this.handleNormalEnter(editor, cursor, line, parsed, cursorPos);
+    }
+    
+    /**
+     * 处理：代码块中换行
+     * 行为：只继承引用/列表前缀和代码自身缩进
+     */
+    handleCodeEnter(editor, cursor, line, codePrefix, cursorPos) {
+        const beforeCursor = line.substring(0, cursorPos);
+        const afterCursor = line.substring(cursorPos);
+        
+        // 光标在前缀中时只继承光标前的部分
+        const prefix = cursorPos < codePrefix.length ? beforeCursor : codePrefix;
+        
+        return this.makeLineEdit(cursor.line, cursor.line, beforeCursor + '\n' + prefix + afterCursor, { line: cursor.line + 1, ch: prefix.length });
+    }
+
+    /**
+     * 处理：空引用行换行
+     * 行为：逐层退出引用块（Obsidian 默认行为）
+     * 
+     * 逻辑：
+     * - 在空引用行按 Enter，引用层级减少 1 层
+     * - 例如：`> > > > ` → 当前行变成 `> > > `，新行也是 `> > > `
+     * - 直到完全退出引用块
+     */
+    handleEmptyQuoteEnter(editor, cursor, line, parsed) {
+        // 统计当前的引用层级
+        const quoteCount = (parsed.quotes.match(/>/g) || []).length;
+        
+        if (quoteCount === 0) {
+            // 没有引用符号，正常换行
+            return this.handleNormalEnter(editor, cursor, line, parsed, cursor.ch);
+        }
+        
+        if (quoteCount === 1) {
+            // 只有一层引用，完全退出引用块
+            // 当前行变成空行，新行也是空行
+            const newText = parsed.preQuoteIndent + '\n' + parsed.preQuoteIndent;
+            
+            return this.makeLineEdit(cursor.line, cursor.line, newText, { line: cursor.line + 1, ch: parsed.preQuoteIndent.length });
+        }
+        
+        // 减少一层引用
+        const newQuoteCount = quoteCount - 1;
+        const newQuotes = this.getQuoteToken().repeat(newQuoteCount);
+        
+        // 构建新的前缀（保持引用前缩进和引用后缩进）
+        const newPrefix = parsed.preQuoteIndent + newQuotes + parsed.postQuoteIndent;
+        
+        // 替换当前行并插入新行
+        const newText = newPrefix + '\n' + newPrefix;
+        
+        return this.makeLineEdit(cursor.line, cursor.line, newText, { line: cursor.line + 1, ch: newPrefix.length });
+    }
+
+    /**
+     * 处理：光标在前缀中换行
+     * 行为：只继承光标前的前缀，不继承列表标记
+     */
+    handleEnterInPrefix(editor, cursor, line, parsed, cursorPos) {
+        const beforeCursor = line.substring(0, cursorPos);
+        const afterCursor = line.substring(cursorPos);
+        
+        // 解析光标前的部分，提取前缀
+        const beforeParsed = this.parseLine(beforeCursor);
+        const inheritedPrefix = this.extractPrefix(beforeParsed);
+        
+        // 构建新行
+        const newText = beforeCursor + '\n' + inheritedPrefix + afterCursor;
+        
+        return this.makeLineEdit(cursor.line, cursor.line, newText, { line: cursor.line + 1, ch: inheritedPrefix.length });
+    }
+
+    /**
+     * 处理：光标在列表标记中换行
+     * 行为：只继承前缀，不继承列表标记
+     */
+    handleEnterInMarker(editor, cursor, line, parsed, cursorPos) {
+        const beforeCursor = line.substring(0, cursorPos);
+        const afterCursor = line.substring(cursorPos);
+        
+        const prefix = this.extractPrefix(parsed);
+        
+        const newText = beforeCursor + '\n' + prefix + afterCursor;
+        
+        return this.makeLineEdit(cursor.line, cursor.line, newText, { line: cursor.line + 1, ch: prefix.length });
+    }
+
+    /**
+     * 处理：空列表项换行
+     * 行为：移除列表标记，光标留在当前行
+     */
+    handleEmptyListEnter(editor, cursor, line, parsed) {
+        const prefix = this.extractPrefix(parsed);
+        
+        return this.makeLineEdit(cursor.line, cursor.line, prefix, { line: cursor.line, ch: prefix.length });
+    }
+
+    /**
+     * 处理：非空列表项换行
+     * 行为：生成下一个列表项，分割内容
+     */
+    handleListEnter(editor, cursor, line, parsed, cursorPos) {
+        const prefix = this.extractPrefix(parsed);
+        // 任务项延续为新的未完成复选框
+        const nextMarker = this.extractMarker({
+            listMarker: this.getNextListMarker(parsed.listMarker, this.findPreviousListMarker(editor, cursor.line)),
+            checkbox: parsed.checkbox ? '[ ]' : null
+        });
+        
+        // 分割当前行
+        const beforeCursor = line.substring(0, cursorPos);
+        const afterCursor = line.substring(cursorPos);
+        
+        // 新行：前缀 + 下一个列表标记 + 光标后内容
+        const newLine = prefix + nextMarker + afterCursor;
+        
+        return this.makeLineEdit(cursor.line, cursor.line, beforeCursor + '\n' + newLine, { line: cursor.line + 1, ch: prefix.length + nextMarker.length });
+    }
+
+    /**
+     * 查找同一有序列表中上一个兄弟项的标记，没有则返回 null
+     * 
+     * 只有字母/罗马序号需要靠上一项区分类型，数字序号直接返回 null，省去扫描兄弟项。
+     */
+    findPreviousListMarker(editor, lineNo) {
+        const getLine = (i) => editor.getLine(i);
+        const marker = this.parseLineInContext(getLine, lineNo).listMarker;
+        if (!this.isOrderedMarker(marker) || /^\d/.test(marker)) return null;
+        
+        const { siblings } = this.findOrderedSiblings(getLine, editor.lineCount(), lineNo);
+        const index = siblings.indexOf(lineNo);
+        return index > 0 ? this.parseLineInContext(getLine, siblings[index - 1]).listMarker : null;
+    }
+
+    /**
+     * 处理：Callout 标题行换行
+     * 行为：在同一引用层级开始 Callout 正文
+     * 
+     * 光标在 "[!type]+" 标记内部时不拆分标记，整行保留为标题；
+     * 光标在标题文字中时，光标后的文字移入正文。
+     */
+    handleCalloutHeaderEnter(editor, cursor, line, parsed, cursorPos) {
+        const splitPos = cursorPos < parsed.callout.headerEnd ? line.length : cursorPos;
+        const bodyPrefix = parsed.preQuoteIndent + parsed.quotes;
+        
+        const beforeCursor = line.substring(0, splitPos).replace(/\s+$/, '');
+        const afterCursor = line.substring(splitPos).replace(/^\s+/, '');
+        
+        return this.makeLineEdit(cursor.line, cursor.line, beforeCursor + '\n' + bodyPrefix + afterCursor, { line: cursor.line + 1, ch: bodyPrefix.length });
+    }
+
+    /**
+     * 处理：表格行换行
+     * 行为：在表格最后的空行上按 Enter 时清空该行，退出表格；
+     * 光标在行末时，在下方插入单元格数相同的空行，继承当前行的前缀
+     * 
+     * 在表头或分隔行上换行时，新行插入到分隔行之后。
+     * 
+     * @returns {object|null} 光标在单元格中间时返回 null，按普通行处理
+     */
+    handleTableEnter(editor, cursor, line, parsed, table, cursorPos) {
+        const prefix = this.extractPrefix(parsed);
+        const cells = this.splitTableRow(parsed.content);
+        
+        if (cursor.line > table.delimiterLine && cursor.line === table.end && cells.every(cell => cell.text === '')) {
+            return this.makeLineEdit(cursor.line, cursor.line, prefix, { line: cursor.line, ch: prefix.length });
+        }
+        if (!/^\s*\|?\s*$/.test(line.substring(cursorPos))) return null;
+        
+        const insertAfter = Math.max(cursor.line, table.delimiterLine);
+        const keptLines = [];
+        for (let i = cursor.line; i <= insertAfter; i++) {
+            keptLines.push(editor.getLine(i));
+        }
+        const newRow = this.formatTableRow(prefix, cells.map(() => ''));
+        
+        return this.makeLineEdit(cursor.line, insertAfter, keptLines.concat(newRow).join('\n'), { line: insertAfter + 1, ch: prefix.length + 2 });
+    }
+
+    /**
+     * 处理：普通行换行
+     * 行为：继承前缀，分割内容
+     */
+    handleNormalEnter(editor, cursor, line, parsed, cursorPos) {
+        const prefix = this.extractPrefix(parsed);
+        
+        const beforeCursor = line.substring(0, cursorPos);
+        const afterCursor = line.substring(cursorPos);
+        
+        const newText = beforeCursor + '\n' + prefix + afterCursor;
+        
+        return this.makeLineEdit(cursor.line, cursor.line, newText, { line: cursor.line + 1, ch: prefix.length });
+    }
+
+    /**
+     * 续行 - 在当前列表项内开始新段落，不新建列表项
+     * 
+     * 新行继承完整前缀，并用空白对齐到列表项内容列（markerEnd - prefixEnd），
+     * 使文字仍属于同一个列表项。续行上再次使用时沿用该行的前缀。
+     * 代码块中或光标位于列表标记之前时，按智能换行处理。
+     * 
+     * @returns {boolean} 是否适用；不适用时交给默认换行
+     */
+    continueListItem(editor, checking = false) {
+        return this.applyEnterEdits(editor, (doc, cursor) => {
+            const line = doc.getLine(cursor.line);
+            const parsed = this.parseLine(line);
+            
+            const block = this.findCodeBlockAt((i) => doc.getLine(i), doc.lineCount(), cursor.line);
+            if (this.isCodeLine(block, cursor.line) || cursor.ch < parsed.markerEnd) {
+                return this.computeEnterEdit(doc, cursor);
+            }
+            
+            const prefix = this.extractPrefix(parsed) +
+                           (parsed.listMarker ? this.getAlignmentWhitespace(doc, parsed.markerEnd - parsed.prefixEnd) : '');
+            const newText = line.substring(0, cursor.ch) + '\n' + prefix + line.substring(cursor.ch);
+            
+            return this.makeLineEdit(cursor.line, cursor.line, newText, { line: cursor.line + 1, ch: prefix.length });
+        }, checking);
+    }
+
+    /**
+     * 生成指定列宽的对齐空白
+     * 
+     * 缩进单位为制表符时，整个制表符宽度的列用制表符，余下的列用空格；否则全部用空格。
+     */
+    getAlignmentWhitespace(editor, width) {
+        if (this.getIndentUnit(editor) !== '\t') return ' '.repeat(width);
+        const tabSize = this.getTabSize();
+        return '\t'.repeat(Math.floor(width / tabSize)) + ' '.repeat(width % tabSize);
+    }
+
+    // ==================== 智能退格功能 ====================
+
+    /**
+     * 智能退格 - 智能换行的逆操作
+     * 
+     * 光标位于内容开头时，每次只撤销一层结构：
+     * 1. 列表标记（含任务复选框）
+     * 2. 内容前的一个缩进单位
+     * 3. 最内层的一个引用层级
+     * 只有前缀的行与上一行合并，去掉重复的前缀。
+     * 
+     * 所有光标都适用时才接管，否则交给默认退格。
+     * 
+     * @param {boolean} [checking] - 只检查是否适用，不修改编辑器
+     * @returns {boolean} 是否已处理
+     */
+    smartBackspace(editor, checking = false) {
+        const selections = editor.listSelections();
+        const edits = [];
+        for (const { anchor, head } of selections) {
+            if (anchor.line !== head.line || anchor.ch !== head.ch) return false;
+            const edit = this.computeBackspaceEdit(editor, head);
+            if (!edit) return false;
+            edits.push(edit);
+        }
+        if (checking) return true;
+        
+        const resolved = this.resolveOverlappingEdits(editor, selections, edits, (doc, selection) => this.computeBackspaceEdit(doc, selection.head));
+        this.applyLineEdits(editor, resolved, { replaceSelections: true });
+        return true;
+    }
+
+    /**
+     * 计算单个光标处的退格编辑，不适用时返回 null
+     */
+    computeBackspaceEdit(editor, cursor) {
+        const line = editor.getLine(cursor.line);
+        const parsed = this.parseLine(line);
+        
+        // 只在内容开头接管，且前面必须有前缀或列表标记
+        if (cursor.ch === 0 || cursor.ch !== parsed.markerEnd) return null;
+        
+        // 代码块中的缩进是代码本身
+        const block = this.findCodeBlockAt((i) => editor.getLine(i), editor.lineCount(), cursor.line);
+        if (this.isCodeLine(block, cursor.line)) return null;
+        
+        // 场景1: 移除列表标记
+        if (parsed.listMarker) {
+            const newLine = this.rebuildLine({ ...parsed, listMarker: null, checkbox: null });
+            const edit = this.makeLineEdit(cursor.line, cursor.line, newLine, { line: cursor.line, ch: parsed.prefixEnd });
+            return { ...edit, renumber: true };
+        }
+        
+        // 场景2: 只有前缀的行，与上一行合并
+        if (parsed.content === '' && cursor.line > 0) {
+            const previousLine = editor.getLine(cursor.line - 1);
+            return this.makeLineEdit(cursor.line - 1, cursor.line, previousLine, { line: cursor.line - 1, ch: previousLine.length });
+        }
+        
+        // 场景3: 移除内容前的一个缩进单位
+        const indentUnit = this.getIndentUnit(editor);
+        let newParsed;
+        if (parsed.quotes && parsed.postQuoteIndent) {
+            newParsed = { ...parsed, postQuoteIndent: this.removeLeadingIndent(parsed.postQuoteIndent, indentUnit) };
+        } else if (!parsed.quotes) {
+            newParsed = { ...parsed, preQuoteIndent: this.removeLeadingIndent(parsed.preQuoteIndent, indentUnit) };
+        } else {
+            // 场景4: 移除最内层的引用
+            newParsed = this.removeQuoteLevel(parsed, this.getQuoteLevel(parsed) - 1);
+        }
+        
+        const newLine = this.rebuildLine(newParsed);
+        const ch = this.extractPrefix(newParsed).length;
+        return this.makeLineEdit(cursor.line, cursor.line, newLine, { line: cursor.line, ch });
+    }
+
+    // ==================== 智能粘贴功能 ====================
+    
+    /**
+     * 智能粘贴 - 完全重写
+     * 
+     * 粘贴模式：
+     * - absolute: 目标前缀 + 源前缀，保持源内容的绝对缩进
+     * - relative: 目标前缀 + (源前缀 - 源内容公共最小前缀)，把源内容整体平移到目标位置
+     * - plain: 原样粘贴，不添加任何前缀
+     * 
+     * @param {string} [mode] - 粘贴模式，默认使用设置中的模式
+     */
+    async smartPaste(editor, mode = this.settings.pasteMode) {
+        try {
+            const clipboardText = await navigator.clipboard.readText();
+            if (!clipboardText) {
+                return;
+            }
+
+            // 统一换行符
+            const normalizedText = clipboardText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+            const lines = normalizedText.split('\n');
+
+            // 单行或纯文本模式直接粘贴
+            if (lines.length <= 1 || mode === 'plain') {
+                editor.replaceSelection(normalizedText);
+                return;
+            }
+
+            // 解析所有源行
+            const srcStructures = lines.map(line => this.parseLine(line));
+
+            // 检测代码块（含围栏行），代码行不做结构解析
+            const srcCodeLines = new Set();
+            for (const block of this.scanCodeBlocks((i) => lines[i], lines.length)) {
+                for (let i = block.start; i <= block.end; i++) {
+                    srcCodeLines.add(i);
+                }
+            }
+
+            const selections = editor.listSelections();
+
+            // 在列表项上粘贴列表：延续编号或作为子项（多个光标只询问一次）
+            let listAction = null;
+            if (this.settings.listPasteMode !== 'none' && this.isListText(srcStructures, srcCodeLines) &&
+                selections.some(selection => this.isListPasteTarget(editor, selection))) {
+                listAction = this.settings.listPasteMode === 'ask'
+                    ? await this.chooseListPasteAction()
+                    : this.settings.listPasteMode;
+                if (!listAction) return;
+            }
+
+            const computeEdit = (doc, selection) => {
+                if (listAction && this.isListPasteTarget(doc, selection)) {
+                    return this.pasteListItems(doc, selection.head.line, srcStructures, srcCodeLines, listAction);
+                }
+                return this.computePasteEdit(doc, selection, lines, srcStructures, srcCodeLines, mode);
+            };
+            const edits = selections.map(selection => computeEdit(editor, selection));
+
+            this.applyLineEdits(editor, this.resolveOverlappingEdits(editor, selections, edits, computeEdit), { replaceSelections: true, renumber: true });
+        } catch (error) {
+            console.error('智能粘贴失败:', error);
+            // 失败时回退
+            try {
+                const clipboardText = await navigator.clipboard.readText();
+                editor.replaceSelection(clipboardText);
+            } catch (fallbackError) {
+                console.error('回退粘贴也失败:', fallbackError);
+            }
+        }
+    }
+
+    /**
+     * 计算单个选区的粘贴编辑
+     * 
+     * 当前行只有前缀时替换整行；光标在行末时在下一行开始粘贴；否则在光标处插入。
+     */
+    computePasteEdit(editor, selection, lines, srcStructures, srcCodeLines, mode) {
+        const { from, to } = this.getSelectionBounds(selection);
+
+        const currentLine = editor.getLine(from.line);
+        const currentParsed = this.parseLine(currentLine);
+
+        // 目标位置在代码块中：剪贴板内容整体视为代码
+        const destBlock = this.findCodeBlockAt((i) => editor.getLine(i), editor.lineCount(), from.line);
+        const destInCode = this.isCodeLine(destBlock, from.line);
+
+        // 获取目标前缀
+        let destPrefix = destInCode
+            ? this.getCodeLinePrefix(currentParsed, destBlock)
+            : this.extractPrefix(currentParsed);
+        
+        // 关键修复：只有当当前行完全为空（连前缀都没有）时，才向上查找
+        // 如果当前行是 "> > > " 这样只有前缀的，应该直接使用这个前缀！
+        if (!destInCode && currentLine.trim() === '' && destPrefix === '') {
+            // 向上查找最近的非空行，使用它的前缀
+            for (let i = from.line - 1; i >= 0; i--) {
+                const prevLine = editor.getLine(i);
+                if (prevLine.trim() !== '') {
+                    const prevParsed = this.parseLine(prevLine);
+                    destPrefix = this.extractPrefix(prevParsed);
+                    break;
+                }
+            }
+        }
+
+        const isCodeLine = (index) => destInCode || srcCodeLines.has(index);
+
+        // 相对模式：计算源内容的公共最小前缀
+        const minPrefix = mode === 'relative' ? this.getCommonSourcePrefix(srcStructures) : '';
+
+        const processedLines = this.reprefixLines(srcStructures, isCodeLine, destPrefix, minPrefix);
+
+        // 根据当前行状态决定插入方式
+        let before = currentLine.substring(0, from.ch);
+        let after = editor.getLine(to.line).substring(to.ch);
+        let insertedLines = processedLines;
+        if (currentParsed.content.trim() === '' && !currentParsed.listMarker) {
+            // 当前行只有前缀：替换整行
+            before = '';
+            after = '';
+        } else if (from.ch <= currentParsed.prefixEnd) {
+            // 从前缀中开始（如选中了列表标记）：首行自带目标前缀，不再保留光标前的前缀
+            before = '';
+        } else if (after === '') {
+            // 光标在行末：添加换行
+            insertedLines = ['', ...processedLines];
+        }
+
+        const lastLine = insertedLines.length === 1
+            ? before + insertedLines[0]
+            : insertedLines[insertedLines.length - 1];
+        const cursor = { line: from.line + insertedLines.length - 1, ch: lastLine.length };
+        const text = before + insertedLines.join('\n') + after;
+
+        return this.makeLineEdit(from.line, to.line, text, cursor);
+    }
+
+    /**
+     * 为源行加上目标前缀
+     * 
+     * 绝对模式 minPrefix 为空，直接叠加，保持源内容的绝对缩进；
+     * 相对模式只保留源前缀中相对 minPrefix 的部分。
+     * 
+     * @param {Array} srcStructures - 源行的 parseLine 结果
+     * @param {function} isCodeLine - (index) → 是否为代码行，代码行不做结构解析
+     * @returns {string[]}
+     */
+    reprefixLines(srcStructures, isCodeLine, destPrefix, minPrefix) {
+        return srcStructures.map((struct, index) => {
+            // 代码行：目标前缀 + 原始行（相对模式下去掉公共前缀）
+            if (isCodeLine(index)) {
+                return this.mergePrefix(destPrefix, struct.raw, minPrefix);
+            }
+            
+            // 空行：只添加目标前缀
+            if (struct.raw.trim() === '') {
+                return destPrefix;
+            }
+            
+            // 常规行：目标前缀 + 源前缀 + 列表标记 + 内容
+            const srcPrefix = this.extractPrefix(struct);
+            return this.mergePrefix(destPrefix, srcPrefix, minPrefix) +
+                   this.extractMarker(struct) +
+                   struct.content;
+        });
+    }
+
+    /**
+     * 判断选区是否适用列表粘贴（没有选中文字，光标在列表项上且不在代码块中）
+     * 
+     * 有选中文字时按普通智能粘贴替换选区。
+     */
+    isListPasteTarget(editor, selection) {
+        const { anchor, head } = selection;
+        if (anchor.line !== head.line || anchor.ch !== head.ch) return false;
+        const lineNo = head.line;
+        if (!this.parseLine(editor.getLine(lineNo)).listMarker) return false;
+        const block = this.findCodeBlockAt((i) => editor.getLine(i), editor.lineCount(), lineNo);
+        return !this.isCodeLine(block, lineNo);
+    }
+
+    /**
+     * 计算源内容各行的公共最小前缀（用于相对粘贴）
+     * 
+     * 忽略空行；首行没有前缀时视为从行中间开始复制，不参与计算。
+     * 
+     * @param {boolean} [includeFirstLine] - 首行总是参与计算（首行完整时使用）
+     */
+    getCommonSourcePrefix(structures, includeFirstLine = false) {
+        const prefixes = structures
+            .filter((struct, index) => {
+                if (struct.raw.trim() === '') return false;
+                if (includeFirstLine) return true;
+                return !(index === 0 && structures.length > 1 && this.extractPrefix(struct) === '');
+            })
+            .map(struct => this.extractPrefix(struct));
+        
+        if (prefixes.length === 0) return '';
+        
+        let common = prefixes[0];
+        for (const prefix of prefixes.slice(1)) {
+            let i = 0;
+            while (i < common.length && i < prefix.length && common[i] === prefix[i]) i++;
+            common = common.substring(0, i);
+        }
+        return common;
+    }
+
+    /**
+     * 判断剪贴板内容是否为列表（第一个非空行是列表项且不在代码块中）
+     */
+    isListText(structures, codeLines) {
+        const index = structures.findIndex(struct => struct.raw.trim() !== '');
+        return index !== -1 && !codeLines.has(index) && !!structures[index].listMarker;
+    }
+
+    /**
+     * 询问列表粘贴方式，取消时返回 null
+     */
+    chooseListPasteAction() {
+        return new Promise((resolve) => {
+            new ListPasteModal(this.app, resolve).open();
+        });
+    }
+
+    /**
+     * 粘贴列表到当前列表项
+     * 
+     * - continue: 源列表顶层项成为当前项的兄弟项，列表标记换成当前列表的样式并延续编号
+     * - nest: 源列表顶层项成为当前项的子项（多一个缩进单位），样式跟随已有子项
+     * 
+     * 源内容按相对缩进重新定位；粘贴位置在当前项子树之后。
+     * 当前项为空列表项且选择延续时，直接替换该行。
+     * 
+     * @returns {object} 行级编辑
+     */
+    pasteListItems(editor, destLine, srcStructures, srcCodeLines, action) {
+        const getLine = (i) => editor.getLine(i);
+        const destParsed = this.parseLine(getLine(destLine));
+        const destPrefix = this.extractPrefix(destParsed);
+        const replaceDest = action === 'continue' && destParsed.content.trim() === '';
+        const subtreeEnd = replaceDest ? destLine : this.findListItemEnd(getLine, editor.lineCount(), destLine);
+
+        // 去掉末尾空行
+        const structures = srcStructures.slice();
+        while (structures.length > 1 && structures[structures.length - 1].raw.trim() === '') {
+            structures.pop();
+        }
+        const minPrefix = this.getCommonSourcePrefix(structures, true);
+
+        // 顶层项的目标前缀和标记样式
+        let basePrefix = destPrefix;
+        let styleMarker = destParsed.listMarker;
+        if (action === 'nest') {
+            // 已有子项时与其对齐，否则多一个缩进单位
+            const firstChild = this.findFirstChildItem(getLine, subtreeEnd, destLine);
+            basePrefix = firstChild ? this.extractPrefix(firstChild) : destPrefix + this.getIndentUnit(editor);
+            styleMarker = firstChild ? firstChild.listMarker : null;
+        }
+        const styleOrdered = this.parseOrderedMarker(styleMarker);
+        let nextValue = styleOrdered && action === 'continue'
+            ? styleOrdered.value + (replaceDest ? 0 : 1)
+            : 1;
+
+        const newLines = structures.map((struct, index) => {
+            if (srcCodeLines.has(index)) {
+                return this.mergePrefix(basePrefix, struct.raw, minPrefix);
+            }
+            if (struct.raw.trim() === '') {
+                return destPrefix;
+            }
+
+            const srcPrefix = this.extractPrefix(struct);
+            const isTopItem = struct.listMarker && srcPrefix === minPrefix;
+            let listMarker = struct.listMarker;
+            if (isTopItem && styleMarker) {
+                listMarker = styleOrdered ? this.formatOrderedMarker(styleOrdered, nextValue++) : styleMarker;
+            }
+
+            return this.mergePrefix(basePrefix, srcPrefix, minPrefix) +
+                   this.extractMarker({ ...struct, listMarker }) +
+                   struct.content;
+        });
+
+        const text = newLines.join('\n');
+        const endLine = replaceDest ? destLine + newLines.length - 1 : subtreeEnd + newLines.length;
+        const cursor = { line: endLine, ch: newLines[newLines.length - 1].length };
+        if (replaceDest) {
+            return this.makeLineEdit(destLine, destLine, text, cursor);
+        }
+        return this.makeLineEdit(subtreeEnd, subtreeEnd, getLine(subtreeEnd) + '\n' + text, cursor);
+    }
+
+    // ==================== 智能复制功能 ====================
+
+    /**
+     * 智能复制 / 剪切 - 智能粘贴的逆操作
+     * 
+     * 去掉选中各行的公共前缀（引用符号和缩进），剪贴板中只保留相对缩进的 Markdown。
+     * 没有选区的光标复制整行；多个选区按顺序用换行连接。
+     * 
+     * @param {boolean} cut - 复制后删除选中内容
+     */
+    async smartCopy(editor, cut) {
+        try {
+            const ranges = this.getCopyRanges(editor);
+
+            const text = ranges.map(range => this.stripCommonPrefix(editor, range.from, range.to).join('\n')).join('\n');
+            await navigator.clipboard.writeText(text);
+
+            if (!cut) return;
+
+            // 相邻的整行合并后一起删除，避免删除范围在换行符处重叠
+            const blocks = [];
+            for (const range of ranges) {
+                const last = blocks[blocks.length - 1];
+                if (last && last.wholeLine && range.wholeLine && range.from.line === last.to.line + 1) {
+                    last.to = range.to;
+                } else {
+                    blocks.push({ ...range });
+                }
+            }
+
+            // 整行剪切时连同换行符一起删除
+            const lastLine = editor.lastLine();
+            const changes = blocks.map(({ from, to, wholeLine }) => {
+                if (!wholeLine) return { from, to, text: '' };
+                if (to.line < lastLine) return { from, to: { line: to.line + 1, ch: 0 }, text: '' };
+                if (from.line > 0) return { from: { line: from.line - 1, ch: editor.getLine(from.line - 1).length }, to, text: '' };
+                return { from, to, text: '' };
+            });
+            editor.transaction({ changes });
+        } catch (error) {
+            console.error('智能复制失败:', error);
+        }
+    }
+
+    /**
+     * 获取复制 / 剪切的范围，按文档顺序排列，重叠的范围合并
+     * 
+     * 没有选区的光标取整行（wholeLine）；同一行上的多个光标只取一次。
+     * 与选区合并后的范围只有两者都是整行时才按整行处理。
+     * 
+     * @returns {Array<{from: object, to: object, wholeLine: boolean}>}
+     */
+    getCopyRanges(editor) {
+        const ranges = editor.listSelections().map(selection => {
+            const { from, to } = this.getSelectionBounds(selection);
+            if (from.line === to.line && from.ch === to.ch) {
+                return { from: { line: from.line, ch: 0 }, to: { line: from.line, ch: editor.getLine(from.line).length }, wholeLine: true };
+            }
+            return { from, to, wholeLine: false };
+        }).sort((a, b) => a.from.line - b.from.line || a.from.ch - b.from.ch);
+
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && (range.from.line < last.to.line || (range.from.line === last.to.line && range.from.ch <= last.to.ch))) {
+                if (range.to.line > last.to.line || (range.to.line === last.to.line && range.to.ch > last.to.ch)) {
+                    last.to = range.to;
+                }
+                last.wholeLine = last.wholeLine && range.wholeLine;
+            } else {
+                merged.push(range);
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * 取出范围内的文本，并去掉各行的公共前缀
+     * 
+     * 首行从内容中间开始时按原样保留，不参与公共前缀计算；
+     * 从前缀中间开始时视为整行。只有前缀的行（如空引用行 "> >"）变为空行。
+     * 
+     * @returns {string[]}
+     */
+    stripCommonPrefix(editor, from, to) {
+        const lines = [];
+        for (let i = from.line; i <= to.line; i++) {
+            const line = editor.getLine(i);
+            lines.push(i === to.line ? line.substring(0, to.ch) : line);
+        }
+
+        const firstParsed = this.parseLine(lines[0]);
+        const partialFirst = from.ch > firstParsed.prefixEnd;
+        if (partialFirst) {
+            lines[0] = lines[0].substring(from.ch);
+        }
+
+        const structures = lines.map(line => this.parseLine(line));
+        const isPrefixOnly = (struct) => !struct.listMarker && struct.content.trim() === '';
+
+        const common = this.getCommonSourcePrefix(
+            structures.filter((struct, index) => !isPrefixOnly(struct) && !(index === 0 && partialFirst)),
+            true
+        );
+
+        return structures.map((struct, index) => {
+            if (index === 0 && partialFirst) return struct.raw;
+            if (isPrefixOnly(struct)) return '';
+            return struct.raw.startsWith(common) ? struct.raw.substring(common.length) : struct.raw;
+        });
+    }
+
+    // ==================== 有序列表重新编号 ====================
+
+    /**
+     * 计算两行之间的列表层级关系
+     * 
+     * 只有引用层级相同（且引用前缩进一致）的行才处于同一上下文；
+     * 同一上下文中按缩进宽度比较深浅。
+     * 
+     * @returns {number|null} 小于 0 表示 other 更浅，0 表示同级，大于 0 表示 other 更深；
+     *                        不在同一上下文返回 null
+     */
+    compareListDepth(base, other) {
+        const quoteLevel = this.getQuoteLevel(base);
+        if (this.getQuoteLevel(other) !== quoteLevel) return null;
+        
+        if (quoteLevel === 0) {
+            return this.getIndentWidth(other.preQuoteIndent) - this.getIndentWidth(base.preQuoteIndent);
+        }
+        if (this.getIndentWidth(other.preQuoteIndent) !== this.getIndentWidth(base.preQuoteIndent)) {
+            return null;
+        }
+        return this.getIndentWidth(other.postQuoteIndent) - this.getIndentWidth(base.postQuoteIndent);
+    }
+
+    /**
+     * 查找与指定有序列表项同级、连续的兄弟项
+     * 
+     * 向上、向下扫描：更深的行（子项、续行）和空行跳过，
+     * 遇到同级同类有序项记为兄弟，遇到其他结构即停止。
+     * 
+     * @param {function} getLine - 按行号取行文本
+     * @param {number} lineCount - 总行数
+     * @param {number} lineNo - 起始行（必须是有序列表项）
+     * @param {Set<number>} [codeLines] - 代码行行号，视为所在列表项的内部内容
+     * @returns {{siblings: number[], end: number, nested: boolean}}
+     *          siblings: 兄弟项行号（升序）；end: 最后一个兄弟项子树的结束行；
+     *          nested: 是否为某个列表项的子列表
+     */
+    findOrderedSiblings(getLine, lineCount, lineNo, codeLines = this.getCodeLineSet(getLine, lineCount)) {
+        const base = this.parseLineInContext(getLine, lineNo);
+        const family = this.parseOrderedMarker(base.listMarker, this.resolveLetterListType([base.listMarker]));
+        
+        // 判断一行相对基准行的角色：'sibling' | 'inner' | 'stop'
+        const classify = (parsed, i) => {
+            if (codeLines.has(i)) return 'inner';
+            if (!parsed.listMarker && parsed.content.trim() === '') {
+                // 空行（可带前缀）：浅于基准的空引用行仍然结束列表
+                return this.compareListDepth(base, parsed) === null ? 'stop' : 'inner';
+            }
+            const depth = this.compareListDepth(base, parsed);
+            if (depth === null || depth < 0) return 'stop';
+            if (depth > 0) return 'inner';
+            const ordered = this.parseOrderedMarker(parsed.listMarker, family.type);
+            return this.isSameOrderedFamily(family, ordered) ? 'sibling' : 'stop';
+        };
+        
+        const siblings = [lineNo];
+        let nested = false;
+        for (let i = lineNo - 1; i >= 0; i--) {
+            const parsed = this.parseLineInContext(getLine, i);
+            const role = classify(parsed, i);
+            if (role === 'sibling') {
+                siblings.unshift(i);
+            } else if (role === 'stop') {
+                // 被更浅的列表项截断，说明这是一个子列表
+                const depth = this.compareListDepth(base, parsed);
+                nested = !!parsed.listMarker && depth !== null && depth < 0;
+                break;
+            }
+        }
+        
+        let end = lineNo;
+        for (let i = lineNo + 1; i < lineCount; i++) {
+            const parsed = this.parseLineInContext(getLine, i);
+            const role = classify(parsed, i);
+            if (role === 'stop') break;
+            if (role === 'sibling') siblings.push(i);
+            if (parsed.content.trim() !== '' || parsed.listMarker) end = i;
+        }
+        
+        return { siblings, end, nested };
+    }
+
+    /**
+     * 查找列表项子树的最后一行（子项、续行和代码块，不含末尾空行）
+     * 
+     * @param {function} getLine - 按行号取行文本
+     * @param {number} lineCount - 总行数
+     * @param {number} lineNo - 列表项所在行
+     * @param {Set<number>} [codeLines] - 代码行行号
+     */
+    findListItemEnd(getLine, lineCount, lineNo, codeLines = this.getCodeLineSet(getLine, lineCount)) {
+        const base = this.parseLine(getLine(lineNo));
+        let end = lineNo;
+        for (let i = lineNo + 1; i < lineCount; i++) {
+            const parsed = this.parseLine(getLine(i));
+            const isBlank = !parsed.listMarker && parsed.content.trim() === '';
+            if (codeLines.has(i)) {
+                end = i;
+                continue;
+            }
+            const depth = this.compareListDepth(base, parsed);
+            if (depth === null) break;
+            if (isBlank) continue;
+            if (depth <= 0) break;
+            end = i;
+        }
+        return end;
+    }
+
+    /**
+     * 查找列表项子树中最浅的第一个子列表项，没有返回 null
+     */
+    findFirstChildItem(getLine, subtreeEnd, lineNo) {
+        const base = this.parseLine(getLine(lineNo));
+        let first = null;
+        let firstDepth = Infinity;
+        for (let i = lineNo + 1; i <= subtreeEnd; i++) {
+            const parsed = this.parseLine(getLine(i));
+            const depth = this.compareListDepth(base, parsed);
+            if (parsed.listMarker && depth !== null && depth > 0 && depth < firstDepth) {
+                first = parsed;
+                firstDepth = depth;
+            }
+        }
+        return first;
+    }
+
+    /**
+     * 计算一组有序列表的重新编号结果（不修改编辑器）
+     * 
+     * 顶层列表保留首项序号，子列表从 1 开始；兄弟项子树中的子列表递归处理。
+     * 
+     * @param {function} getLine - 按行号取行文本
+     * @param {number} lineCount - 总行数
+     * @param {number} lineNo - 列表中任意一个有序项的行号
+     * @param {Set<number>} visited - 已处理的行号，避免重复计算
+     * @param {Set<number>} [codeLines] - 代码行行号，其中的 "1." 不参与编号
+     * @returns {Array<{line: number, from: number, to: number, text: string}>}
+     *          需要替换的列表标记范围
+     */
+    computeRenumberEdits(getLine, lineCount, lineNo, visited = new Set(), codeLines = this.getCodeLineSet(getLine, lineCount)) {
+        const edits = [];
+        const { siblings, end, nested } = this.findOrderedSiblings(getLine, lineCount, lineNo, codeLines);
+        
+        // 字母和罗马数字由整组标记共同决定类型
+        const markers = siblings.map(i => this.parseLineInContext(getLine, i).listMarker);
+        let first = this.parseOrderedMarker(markers[0]);
+        if (first.type !== 'decimal') {
+            first = this.parseOrderedMarker(markers[0], this.resolveLetterListType(markers));
+        }
+        let value = nested ? 1 : first.value;
+        
+        for (const i of siblings) {
+            visited.add(i);
+            const parsed = this.parseLineInContext(getLine, i);
+            const newMarker = this.formatOrderedMarker(first, value++);
+            if (newMarker !== parsed.listMarker) {
+                edits.push({
+                    line: i,
+                    from: parsed.prefixEnd,
+                    to: parsed.prefixEnd + parsed.listMarker.length,
+                    text: newMarker
+                });
+            }
+        }
+        
+        // 子树中的有序子列表
+        for (let i = siblings[0] + 1; i <= end; i++) {
+            if (visited.has(i) || codeLines.has(i)) continue;
+            if (this.isOrderedMarker(this.parseLineInContext(getLine, i).listMarker)) {
+                edits.push(...this.computeRenumberEdits(getLine, lineCount, i, visited, codeLines));
+            }
+        }
+        
+        return edits;
+    }
+
+    /**
+     * 收集多个行范围内涉及的所有有序列表的重新编号结果（不修改编辑器）
+     * 
+     * @param {Array<{startLine: number, endLine: number}>} ranges
+     * @returns {Array<{line: number, from: number, to: number, text: string}>}
+     */
+    collectRenumberEdits(getLine, lineCount, ranges) {
+        const visited = new Set();
+        // 范围内有有序列表项时才解析整个文档的代码块
+        let codeLines = null;
+        const edits = [];
+        
+        for (const range of ranges) {
+            for (let i = Math.max(0, range.startLine); i <= Math.min(range.endLine, lineCount - 1); i++) {
+                if (visited.has(i)) continue;
+                if (!this.isOrderedMarker(this.parseLineInContext(getLine, i).listMarker)) continue;
+                codeLines = codeLines || this.getCodeLineSet(getLine, lineCount);
+                if (!codeLines.has(i)) {
+                    edits.push(...this.computeRenumberEdits(getLine, lineCount, i, visited, codeLines));
+                }
+            }
+        }
+        return edits;
+    }
+
+    /**
+     * 对指定行范围内涉及的所有有序列表重新编号
+     * 
+     * 只替换列表标记本身，所有变更在一个事务中应用，光标位置由编辑器自动映射。
+     * 
+     * @param {Array<{startLine: number, endLine: number}>} ranges
+     */
+    renumberLists(editor, ranges) {
+        const edits = this.collectRenumberEdits((i) => editor.getLine(i), editor.lineCount(), ranges);
+        if (edits.length === 0) return;
+        
+        const changes = edits.map(edit => ({
+            from: { line: edit.line, ch: edit.from },
+            to: { line: edit.line, ch: edit.to },
+            text: edit.text
+        }));
+        editor.transaction({ changes });
+    }
+
+    // ==================== Callout 功能 ====================
+
+    /**
+     * 查找包含指定行的 Callout 标题行
+     * 
+     * 向上扫描，途经各行的引用层级都不低于标题行层级时，标题行才包含该行。
+     * 
+     * @returns {{line: number, parsed: object, level: number}|null}
+     */
+    findEnclosingCallout(editor, lineNo) {
+        let minLevel = Infinity;
+        for (let i = lineNo; i >= 0; i--) {
+            const parsed = this.parseLine(editor.getLine(i));
+            const level = this.getQuoteLevel(parsed);
+            if (level === 0) return null;
+            if (parsed.callout && level <= minLevel) {
+                return { line: i, parsed, level };
+            }
+            minLevel = Math.min(minLevel, level);
+        }
+        return null;
+    }
+
+    /**
+     * 查找 Callout 正文的最后一行
+     * 
+     * 正文为标题行之后引用层级不低于标题层级的连续行，
+     * 遇到同层级的另一个 Callout 标题即结束。
+     */
+    findCalloutEnd(editor, header) {
+        let end = header.line;
+        for (let i = header.line + 1; i < editor.lineCount(); i++) {
+            const parsed = this.parseLine(editor.getLine(i));
+            const level = this.getQuoteLevel(parsed);
+            if (level < header.level) break;
+            if (parsed.callout && level === header.level) break;
+            end = i;
+        }
+        return end;
+    }
+
+    /**
+     * 生成 Callout 标题行内容（不含前缀）
+     */
+    buildCalloutHeader(type, fold, title) {
+        return '[!' + type + ']' + (fold || '') + (title ? ' ' + title : '');
+    }
+
+    /**
+     * 查找所有光标所在的 Callout 标题行（按行号去重、升序）
+     */
+    findSelectedCallouts(editor) {
+        const headers = new Map();
+        for (const selection of editor.listSelections()) {
+            const header = this.findEnclosingCallout(editor, selection.head.line);
+            if (header) headers.set(header.line, header);
+        }
+        return [...headers.values()].sort((a, b) => a.line - b.line);
+    }
+
+    /**
+     * 用指定类型的 Callout 包裹选中行（每个选区各包裹一次）
+     * 
+     * 以选区中最浅的引用层级为基准，在该层级之后为每行插入一层引用，
+     * 并在首行之前插入 Callout 标题行。
+     */
+    wrapInCallout(editor, type) {
+        const quoteToken = this.getQuoteToken();
+
+        this.editSelectedLines(
+            editor,
+            (parsedLines) => {
+                const baseLevel = Math.min(...parsedLines.map(parsed => this.getQuoteLevel(parsed)));
+
+                const first = parsedLines[0];
+                const headerQuotes = this.splitQuotes(first.quotes).slice(0, baseLevel).join('') + quoteToken;
+                const headerLine = first.preQuoteIndent + headerQuotes + this.buildCalloutHeader(type);
+
+                return [headerLine, ...parsedLines.map(parsed =>
+                    this.rebuildLine(this.insertQuoteLevel(parsed, baseLevel, quoteToken))
+                )];
+            },
+            {
+                // 正文整体下移一行，行内位置按插入的引用符号映射
+                mapPos: (pos, { startLine, parsedLines, newLines }, assoc) => {
+                    const index = pos.line - startLine;
+                    const ch = this.mapPosThroughLineChange(pos.ch, parsedLines[index].raw, newLines[index + 1], assoc);
+                    return { line: pos.line + 1, ch };
+                }
+            }
+        );
+    }
+
+    /**
+     * 查找所有光标所在的 Callout，并附带正文末行 end
+     */
+    findSelectedCalloutSpans(editor) {
+        return this.findSelectedCallouts(editor).map(header => ({ ...header, end: this.findCalloutEnd(editor, header) }));
+    }
+
+    /**
+     * 生成 editSelectedLines 的 expandRange：行范围扩展到完整包含与之相交的 Callout（标题行至正文末行）
+     */
+    expandToCallouts(callouts) {
+        return (startLine, endLine) => {
+            let expanded = true;
+            while (expanded) {
+                expanded = false;
+                for (const callout of callouts) {
+                    if (callout.line > endLine || callout.end < startLine) continue;
+                    if (callout.line < startLine || callout.end > endLine) {
+                        startLine = Math.min(startLine, callout.line);
+                        endLine = Math.max(endLine, callout.end);
+                        expanded = true;
+                    }
+                }
+            }
+            return { startLine, endLine };
+        };
+    }
+
+    /**
+     * 修改光标所在 Callout 的类型，保留折叠标记和标题
+     * 
+     * 行数不变，选区按标题行的实际改动映射。
+     */
+    changeCalloutType(editor, type) {
+        const callouts = this.findSelectedCalloutSpans(editor);
+        const headers = new Map(callouts.map(callout => [callout.line, callout]));
+
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => parsedLines.map((parsed, index) => {
+                const header = headers.get(startLine + index);
+                if (!header) return parsed.raw;
+                const callout = header.parsed.callout;
+                return parsed.raw.substring(0, parsed.markerEnd) +
+                       this.buildCalloutHeader(type, callout.fold, callout.title);
+            }),
+            { expandRange: this.expandToCallouts(callouts) }
+        );
+    }
+
+    /**
+     * 解除光标所在 Callout：移除标题行，正文减少标题所在的那一层引用
+     * 
+     * 标题文字（如有）保留为正文第一行。嵌套的 Callout 同时解除时，由内向外逐层移除引用。
+     * 选区按每行实际移除的前缀映射；位于被移除标题行上的光标移到其后一行的行首。
+     */
+    unwrapCallout(editor) {
+        const callouts = this.findSelectedCalloutSpans(editor);
+        const headers = new Map(callouts.map(callout => [callout.line, callout]));
+        // 各范围中原行到新行的对应：{index, removed}，按范围起始行记录
+        const lineMaps = new Map();
+
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const newLines = [];
+                const lineMap = [];
+                parsedLines.forEach((parsed, index) => {
+                    const lineNo = startLine + index;
+                    const header = headers.get(lineNo);
+                    if (header && !header.parsed.callout.title) {
+                        lineMap.push({ index: newLines.length, removed: true });
+                        return;
+                    }
+
+                    const levels = callouts
+                        .filter(callout => callout.line <= lineNo && lineNo <= callout.end)
+                        .map(callout => callout.level - 1)
+                        .sort((a, b) => b - a);
+                    let result = header ? { ...parsed, content: header.parsed.callout.title } : parsed;
+                    for (const level of levels) {
+                        result = this.removeQuoteLevel(result, level);
+                    }
+                    lineMap.push({ index: newLines.length, removed: false });
+                    newLines.push(this.rebuildLine(result));
+                });
+                if (newLines.length === 0) newLines.push('');
+                lineMaps.set(startLine, lineMap);
+                return newLines;
+            },
+            {
+                expandRange: this.expandToCallouts(callouts),
+                mapPos: (pos, { startLine, parsedLines, newLines }, assoc) => {
+                    const index = pos.line - startLine;
+                    const target = lineMaps.get(startLine)[index];
+                    const newIndex = Math.min(target.index, newLines.length - 1);
+                    if (target.removed) {
+                        const ch = target.index < newLines.length ? 0 : newLines[newIndex].length;
+                        return { line: startLine + newIndex, ch };
+                    }
+                    const ch = this.mapPosThroughLineChange(pos.ch, parsedLines[index].raw, newLines[newIndex], assoc);
+                    return { line: startLine + newIndex, ch };
+                }
+            }
+        );
+    }
+
+    // ==================== 任务列表功能 ====================
+
+    /**
+     * 切换任务复选框 - 作用于所有光标和选区覆盖的行
+     *
+     * 规则：
+     * - 以每个选区中第一个任务项的状态决定目标：未完成（含 [/]、[-] 等自定义状态）→ [x]，已完成 → [ ]
+     * - 列表项但无复选框：添加 [ ]
+     * - 普通非空行：变为 "- [ ] " 任务项
+     * - 空行不处理
+     * 引用、缩进等前缀始终保持不变
+     */
+    toggleTaskCheckbox(editor) {
+        this.editSelectedLines(
+            editor,
+            (parsedLines) => {
+                const firstTask = parsedLines.find(parsed => parsed.checkbox);
+                const targetCheckbox = firstTask && this.isCheckboxChecked(firstTask.checkbox) ? '[ ]' : '[x]';
+
+                return parsedLines.map(parsed => {
+                    if (parsed.checkbox) {
+                        return this.rebuildLine({ ...parsed, checkbox: targetCheckbox });
+                    }
+                    if (parsed.listMarker) {
+                        return this.rebuildLine({ ...parsed, checkbox: '[ ]' });
+                    }
+                    if (parsed.content.trim() === '') {
+                        return parsed.raw;
+                    }
+                    return this.rebuildLine({ ...parsed, listMarker: '-', checkbox: '[ ]' });
+                });
+            }
+        );
+    }
+
+    // ==================== 表格功能 ====================
+
+    /**
+     * 拆分表格行内容（不含前缀）为单元格
+     * 
+     * 以未转义的 `|` 分隔，行首、行尾的 `|` 不产生空单元格。
+     * 
+     * @returns {Array<{text: string, from: number, to: number}>|null} 单元格文字（已去除首尾空白）及其在内容中的范围；
+     *          内容中没有 `|` 时返回 null
+     */
+    splitTableRow(content) {
+        const pipes = [];
+        for (let i = 0; i < content.length; i++) {
+            if (content[i] === '\\') {
+                i++;
+            } else if (content[i] === '|') {
+                pipes.push(i);
+            }
+        }
+        if (pipes.length === 0) return null;
+        
+        const bounds = [-1, ...pipes, content.length];
+        const cells = [];
+        for (let i = 0; i < bounds.length - 1; i++) {
+            const segmentStart = bounds[i] + 1;
+            const segment = content.substring(segmentStart, bounds[i + 1]);
+            // 行首 `|` 之前、行尾 `|` 之后的空白不是单元格
+            if (segment.trim() === '' && ((i === 0 && pipes[0] === 0) || i === bounds.length - 2)) continue;
+            
+            const leading = segment.length - segment.replace(/^\s+/, '').length;
+            const text = segment.trim();
+            cells.push({ text, from: segmentStart + leading, to: segmentStart + leading + text.length });
+        }
+        return cells;
+    }
+
+    /**
+     * 判断单元格是否构成表格分隔行（如 `---`、`:--`、`:-:`、`--:`）
+     */
+    isTableDelimiterRow(cells) {
+        return cells.length > 0 && cells.every(cell => /^:?-+:?$/.test(cell.text));
+    }
+
+    /**
+     * 查找包含指定行的表格
+     * 
+     * 表格为引用层级相同、含有 `|` 的连续非列表行，
+     * 第一行为表头，第二行为单元格数与表头相同的分隔行。
+     * 
+     * 围栏行不会是表格行，所以扫描只停留在指定行附近：
+     * 调用方已确认指定行不在代码块中时可以省略 codeLines，免得为一次按键解析整个文档。
+     * 
+     * @param {Set<number>} [codeLines] - 代码行行号
+     * @returns {{start: number, delimiterLine: number, end: number}|null}
+     */
+    findTableAt(getLine, lineCount, lineNo, codeLines = new Set()) {
+        const level = this.getQuoteLevel(this.parseLine(getLine(lineNo)));
+        const rowCells = (i) => {
+            if (codeLines.has(i)) return null;
+            const parsed = this.parseLine(getLine(i));
+            if (parsed.listMarker || this.getQuoteLevel(parsed) !== level || this.matchFence(parsed.content)) return null;
+            return this.splitTableRow(parsed.content);
+        };
+        if (!rowCells(lineNo)) return null;
+        
+        let start = lineNo;
+        while (start > 0 && rowCells(start - 1)) start--;
+        let end = lineNo;
+        while (end < lineCount - 1 && rowCells(end + 1)) end++;
+        
+        if (start + 1 > end) return null;
+        const delimiter = rowCells(start + 1);
+        if (!this.isTableDelimiterRow(delimiter) || delimiter.length !== rowCells(start).length) return null;
+        
+        return { start, delimiterLine: start + 1, end };
+    }
+
+    /**
+     * 生成表格行：`前缀| a | b |`
+     */
+    formatTableRow(prefix, cells) {
+        return prefix + '| ' + cells.join(' | ') + ' |';
+    }
+
+    /**
+     * 查找所有选区涉及的表格（按起始行去重、升序）
+     */
+    findSelectedTables(editor) {
+        const getLine = (i) => editor.getLine(i);
+        const codeLines = this.getCodeLineSet(getLine, editor.lineCount());
+        const tables = new Map();
+        for (const range of this.getSelectionLineRanges(editor)) {
+            for (let i = range.startLine; i <= range.endLine; i++) {
+                const table = this.findTableAt(getLine, editor.lineCount(), i, codeLines);
+                if (table) {
+                    tables.set(table.start, table);
+                    i = table.end;
+                }
+            }
+        }
+        return [...tables.values()].sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * 对齐选区涉及的表格：按显示宽度补齐每列，使各行的 `|` 上下对齐
+     * 
+     * 单元格按分隔行指定的对齐方式补空白，单元格不足的行补空单元格；
+     * 所有行使用表头的前缀。光标保持在原来的单元格中。
+     */
+    alignTables(editor) {
+        const getLine = (i) => editor.getLine(i);
+        const codeLines = this.getCodeLineSet(getLine, editor.lineCount());
+        const tableAt = (i) => this.findTableAt(getLine, editor.lineCount(), i, codeLines);
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const newLines = parsedLines.map(parsed => parsed.raw);
+                for (let index = 0; index < parsedLines.length; index++) {
+                    const table = tableAt(startLine + index);
+                    if (!table) continue;
+                    const rows = parsedLines.slice(table.start - startLine, table.end - startLine + 1);
+                    newLines.splice(table.start - startLine, rows.length, ...this.alignTableRows(rows));
+                    index = table.end - startLine;
+                }
+                return newLines;
+            },
+            {
+                // 选区覆盖的表格整体对齐
+                expandRange: (startLine, endLine) => {
+                    const first = tableAt(startLine);
+                    const last = tableAt(endLine);
+                    return {
+                        startLine: first ? first.start : startLine,
+                        endLine: last ? last.end : endLine
+                    };
+                },
+                mapPos: (pos, { startLine, parsedLines, newLines }) => {
+                    const index = pos.line - startLine;
+                    const parsed = parsedLines[index];
+                    if (parsed.raw === newLines[index]) return pos;
+                    return { line: pos.line, ch: this.mapPosThroughTableRow(pos.ch, parsed, newLines[index]) };
+                }
+            }
+        );
+    }
+
+    /**
+     * 对齐一个表格的所有行（第二行为分隔行）
+     */
+    alignTableRows(rows) {
+        const prefix = this.extractPrefix(rows[0]);
+        const cellRows = rows.map(parsed => this.splitTableRow(parsed.content).map(cell => cell.text));
+        const columns = Math.max(...cellRows.map(cells => cells.length));
+        
+        const alignments = [];
+        const widths = [];
+        for (let column = 0; column < columns; column++) {
+            const delimiter = cellRows[1][column] || '---';
+            alignments.push({ left: delimiter.startsWith(':'), right: delimiter.endsWith(':') });
+            // 分隔行至少需要三个字符
+            let width = 3;
+            cellRows.forEach((cells, index) => {
+                if (index !== 1) width = Math.max(width, this.getStringWidth(cells[column] || ''));
+            });
+            widths.push(width);
+        }
+        
+        return cellRows.map((cells, index) => {
+            const padded = widths.map((width, column) => {
+                const { left, right } = alignments[column];
+                if (index === 1) {
+                    return (left ? ':' : '') + '-'.repeat(width - (left ? 1 : 0) - (right ? 1 : 0)) + (right ? ':' : '');
+                }
+                const text = cells[column] || '';
+                const space = width - this.getStringWidth(text);
+                if (right && !left) return ' '.repeat(space) + text;
+                if (right && left) {
+                    const before = Math.floor(space / 2);
+                    return ' '.repeat(before) + text + ' '.repeat(space - before);
+                }
+                return text + ' '.repeat(space);
+            });
+            return this.formatTableRow(prefix, padded);
+        });
+    }
+
+    /**
+     * 把表格行中的位置映射到对齐后的行：保持在同一个单元格中的相同字符处
+     */
+    mapPosThroughTableRow(ch, oldParsed, newLine) {
+        const newParsed = this.parseLine(newLine);
+        if (ch <= oldParsed.prefixEnd) return Math.min(ch, newParsed.prefixEnd);
+        
+        const oldCells = this.splitTableRow(oldParsed.content);
+        const newCells = this.splitTableRow(newParsed.content);
+        const offset = ch - oldParsed.prefixEnd;
+        const index = oldCells.findIndex(cell => offset <= cell.to);
+        if (index === -1) {
+            // 最后一个单元格之后（行尾的 `|` 附近）
+            return Math.max(newLine.length - (oldParsed.raw.length - ch), newParsed.prefixEnd + newCells[newCells.length - 1].to);
+        }
+        
+        const oldCell = oldCells[index];
+        const newCell = newCells[index];
+        return newParsed.prefixEnd + newCell.from + Math.max(0, Math.min(offset - oldCell.from, newCell.text.length));
+    }
+
+    // ==================== 段落重排功能 ====================
+
+    /**
+     * 判断行是否可以参与段落重排
+     * 
+     * 空行、代码（含围栏行）、标题、Callout 标题行和表格行不参与重排。
+     */
+    isReflowableLine(getLine, lineCount, lineNo, codeLines) {
+        if (codeLines.has(lineNo)) return false;
+        const parsed = this.parseLine(getLine(lineNo));
+        if (parsed.content.trim() === '' || parsed.callout || this.matchFence(parsed.content)) return false;
+        if (/^#{1,6}(\s|$)/.test(parsed.content)) return false;
+        return !this.findTableAt(getLine, lineCount, lineNo, codeLines);
+    }
+
+    /**
+     * 判断行是否以硬换行结束（两个以上空格或反斜杠）
+     */
+    endsWithHardBreak(line) {
+        return / {2,}$/.test(line) || /\\$/.test(line);
+    }
+
+    /**
+     * 查找包含指定行的段落
+     * 
+     * 段落为引用层级相同的连续可重排行；列表项只能作为段落的第一行，
+     * 以两个空格或 `\` 结尾的硬换行结束段落。
+     * 
+     * @returns {{start: number, end: number}|null}
+     */
+    findParagraphAt(getLine, lineCount, lineNo, codeLines) {
+        if (!this.isReflowableLine(getLine, lineCount, lineNo, codeLines)) return null;
+        
+        const level = this.getQuoteLevel(this.parseLine(getLine(lineNo)));
+        const joinable = (i) => this.isReflowableLine(getLine, lineCount, i, codeLines) &&
+                                this.getQuoteLevel(this.parseLine(getLine(i))) === level;
+        
+        let start = lineNo;
+        while (start > 0 && !this.parseLine(getLine(start)).listMarker && joinable(start - 1) &&
+               !this.endsWithHardBreak(getLine(start - 1))) {
+            start--;
+        }
+        let end = lineNo;
+        while (end < lineCount - 1 && !this.endsWithHardBreak(getLine(end)) && joinable(end + 1) &&
+               !this.parseLine(getLine(end + 1)).listMarker) {
+            end++;
+        }
+        return { start, end };
+    }
+
+    /**
+     * 连接两段文字：两侧都是中日韩文字时直接相连，否则用一个空格分隔
+     */
+    joinLineContents(left, right) {
+        if (!left || !right) return left + right;
+        if (this.isWideChar([...left].pop()) && this.isWideChar([...right][0])) return left + right;
+        return left + ' ' + right;
+    }
+
+    /**
+     * 把文字拆分为折行单位
+     * 
+     * 只在空白处和两个中日韩文字之间断开（与 joinLineContents 对应，合并后还原原文）；
+     * NO_BREAK_BEFORE 中的标点附着在前一个单位上。
+     * 
+     * @returns {Array<{text: string, space: boolean}>} space 表示单位前原有空白
+     */
+    splitWrapUnits(text) {
+        const units = [];
+        let pendingSpace = false;
+        for (const char of text) {
+            if (/\s/.test(char)) {
+                pendingSpace = units.length > 0;
+                continue;
+            }
+            const wide = this.isWideChar(char);
+            const last = units[units.length - 1];
+            if (last && !pendingSpace && (NO_BREAK_BEFORE.test(char) || !wide || !last.endsWide)) {
+                last.text += char;
+                last.endsWide = wide;
+            } else {
+                units.push({ text: char, space: pendingSpace, endsWide: wide });
+            }
+            pendingSpace = false;
+        }
+        return units;
+    }
+
+    /**
+     * 按列宽折行：每行（含前缀）的显示宽度不超过 column，单个过长的单位独占一行
+     * 
+     * @param {string[]} prefixes - 首行前缀和续行前缀
+     * @returns {string[]} 带前缀的行
+     */
+    wrapText(text, prefixes, column) {
+        const [firstPrefix, restPrefix] = prefixes;
+        const lines = [];
+        let current = '';
+        const limit = () => column - this.getIndentWidth(lines.length === 0 ? firstPrefix : restPrefix);
+        
+        for (const unit of this.splitWrapUnits(text)) {
+            const candidate = current + (current && unit.space ? ' ' : '') + unit.text;
+            if (current && this.getStringWidth(candidate) > limit()) {
+                lines.push(current);
+                current = unit.text;
+            } else {
+                current = candidate;
+            }
+        }
+        lines.push(current);
+        
+        return lines.map((line, index) => (index === 0 ? firstPrefix : restPrefix) + line);
+    }
+
+    /**
+     * 重排选区涉及的段落（column 为 Infinity 时合并为一行）
+     * 
+     * 首行保留原有的前缀和列表标记，续行使用相同的引用和缩进，
+     * 列表项的续行对齐到列表内容列。光标按内容中的非空白字符数映射。
+     */
+    reflowParagraphs(editor, column) {
+        const getLine = (i) => editor.getLine(i);
+        const codeLines = this.getCodeLineSet(getLine, editor.lineCount());
+        const paragraphAt = (i) => this.findParagraphAt(getLine, editor.lineCount(), i, codeLines);
+        // 每个范围内旧行到新行的对应关系，供光标映射使用
+        const layouts = new Map();
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const newLines = [];
+                const layout = [];
+                for (let index = 0; index < parsedLines.length; index++) {
+                    const paragraph = paragraphAt(startLine + index);
+                    if (!paragraph) {
+                        layout.push({ newLine: newLines.length });
+                        newLines.push(parsedLines[index].raw);
+                        continue;
+                    }
+                    
+                    const lines = parsedLines.slice(paragraph.start - startLine, paragraph.end - startLine + 1);
+                    const first = lines[0];
+                    const restPrefix = this.extractPrefix(first) +
+                                       (first.listMarker ? this.getAlignmentWhitespace(editor, first.markerEnd - first.prefixEnd) : '');
+                    const text = lines.reduce((joined, parsed) => this.joinLineContents(joined, parsed.content.trim()), '');
+                    const wrapped = this.wrapText(text, [first.raw.substring(0, first.markerEnd), restPrefix], column);
+                    // 段落末尾以空格表示的硬换行保留
+                    wrapped[wrapped.length - 1] += (lines[lines.length - 1].raw.match(/ {2,}$/) || [''])[0];
+                    
+                    const segment = {
+                        oldLines: lines.map(parsed => parsed.raw.substring(parsed.markerEnd)),
+                        newLines: wrapped.map((line, i) => line.substring(i === 0 ? first.markerEnd : restPrefix.length)),
+                        oldStarts: lines.map(parsed => parsed.markerEnd),
+                        newStarts: wrapped.map((line, i) => i === 0 ? first.markerEnd : restPrefix.length),
+                        newStartLine: newLines.length
+                    };
+                    lines.forEach((parsed, i) => layout.push({ segment, index: i }));
+                    newLines.push(...wrapped);
+                    index = paragraph.end - startLine;
+                }
+                layouts.set(startLine, layout);
+                return newLines;
+            },
+            {
+                expandRange: (startLine, endLine) => {
+                    const first = paragraphAt(startLine);
+                    const last = paragraphAt(endLine);
+                    return {
+                        startLine: first ? first.start : startLine,
+                        endLine: last ? last.end : endLine
+                    };
+                },
+                mapPos: (pos, { startLine }) => {
+                    const entry = layouts.get(startLine)[pos.line - startLine];
+                    if (!entry.segment) return { line: startLine + entry.newLine, ch: pos.ch };
+                    return this.mapPosThroughReflow(pos.ch, entry.segment, entry.index, startLine);
+                }
+            }
+        );
+    }
+
+    /**
+     * 把段落中的位置映射到重排后的段落：光标之前的非空白字符数保持不变
+     * 
+     * 首行前缀中的位置不变；原位置紧跟在空白之后时，落在下一个字符之前。
+     */
+    mapPosThroughReflow(ch, segment, index, startLine) {
+        if (index === 0 && ch <= segment.oldStarts[0]) return { line: startLine + segment.newStartLine, ch };
+        
+        const countText = (text) => text.replace(/\s/g, '').length;
+        const before = segment.oldLines[index].substring(0, Math.max(0, ch - segment.oldStarts[index]));
+        const afterSpace = /\s$/.test(before);
+        let count = countText(before);
+        for (let i = 0; i < index; i++) {
+            count += countText(segment.oldLines[i]);
+        }
+        
+        for (let i = 0; i < segment.newLines.length; i++) {
+            const text = segment.newLines[i];
+            const total = countText(text);
+            if (count <= total || i === segment.newLines.length - 1) {
+                let offset = 0;
+                for (let seen = 0; offset < text.length && seen < count; offset++) {
+                    if (!/\s/.test(text[offset])) seen++;
+                }
+                while (afterSpace && offset < text.length && /\s/.test(text[offset])) offset++;
+                return { line: startLine + segment.newStartLine + i, ch: segment.newStarts[i] + offset };
+            }
+            count -= total;
+        }
+    }
+
+    // ==================== 合并行功能 ====================
+
+    /**
+     * 合并行：光标所在行与下一行合并，多行选区的所有行合并为一行
+     * 
+     * 后续行的引用层级不低于首行时（相同或嵌套在首行的上下文中），
+     * 去掉它的引用、缩进和列表标记；否则只去掉行首空白。
+     * 两段文字之间插入一个空格，中日韩文字之间不加空格。
+     */
+    joinLines(editor) {
+        const getLine = (i) => editor.getLine(i);
+        const codeLines = this.getCodeLineSet(getLine, editor.lineCount());
+        // 每个范围内各行内容在合并后的起始位置，供光标映射使用
+        const layouts = new Map();
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const level = this.getQuoteLevel(parsedLines[0]);
+                let text = parsedLines[0].raw;
+                const layout = [{ oldStart: 0, newStart: 0 }];
+                
+                for (let index = 1; index < parsedLines.length; index++) {
+                    const parsed = parsedLines[index];
+                    let dropped = parsed.raw.length - parsed.raw.replace(/^\s+/, '').length;
+                    if (this.getQuoteLevel(parsed) >= level) {
+                        // 代码行中的 "- "、"1. " 是代码本身，只去掉引用和缩进
+                        dropped = codeLines.has(startLine + index) ? parsed.prefixEnd : parsed.markerEnd;
+                    }
+                    const right = parsed.raw.substring(dropped).trim();
+                    text = this.joinLineContents(text.replace(/\s+$/, ''), right);
+                    layout.push({ oldStart: dropped, newStart: text.length - right.length });
+                }
+                
+                layouts.set(startLine, layout);
+                return [text];
+            },
+            {
+                // 单行时与下一行合并
+                expandRange: (startLine, endLine) => ({
+                    startLine,
+                    endLine: startLine === endLine ? Math.min(endLine + 1, editor.lastLine()) : endLine
+                }),
+                mapPos: (pos, { startLine, newLines }) => {
+                    const { oldStart, newStart } = layouts.get(startLine)[pos.line - startLine];
+                    const ch = pos.line === startLine ? pos.ch : newStart + Math.max(0, pos.ch - oldStart);
+                    return { line: startLine, ch: Math.min(ch, newLines[0].length) };
+                },
+                renumber: true
+            }
+        );
+    }
+
+    // ==================== 结构转换功能 ====================
+
+    /**
+     * 转换选中行的列表类型
+     * 
+     * type：
+     * - 'bullet'：无序列表（已有的无序符号保留，其余用 -，开启循环时按缩进层级循环）
+     * - 'ordered'：有序列表（已有的有序标记保留，其余用 1.，之后重新编号）
+     * - 'task'：任务列表（非列表行先变为 - 列表项，已有的复选框保留）
+     * - 'plain'：普通段落（移除列表标记和复选框）
+     * 
+     * 缩进始终保留，各行的相对层级不变（转换为普通段落后可再转换回原来的嵌套列表）；
+     * 空行和代码块（含围栏行）不处理。
+     */
+    convertListType(editor, type) {
+        const getLine = (i) => editor.getLine(i);
+        const codeLines = this.getCodeLineSet(getLine, editor.lineCount());
+        const unitWidth = this.getIndentWidth(this.getIndentUnit(editor));
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => parsedLines.map((parsed, index) => {
+                if (codeLines.has(startLine + index) || this.matchFence(parsed.content) ||
+                    (!parsed.listMarker && parsed.content.trim() === '')) {
+                    return parsed.raw;
+                }
+                
+                if (type === 'plain') {
+                    return this.rebuildLine({ ...parsed, listMarker: null, checkbox: null });
+                }
+                
+                const marker = parsed.listMarker;
+                const isBullet = BULLET_CYCLE.includes(marker);
+                let listMarker = marker || '-';
+                let checkbox = parsed.checkbox;
+                if (type === 'bullet') {
+                    const indent = parsed.quotes ? parsed.postQuoteIndent : parsed.preQuoteIndent;
+                    const depth = Math.floor(this.getIndentWidth(indent) / unitWidth);
+                    const cycled = this.settings.cycleBulletMarkers ? BULLET_CYCLE[depth % BULLET_CYCLE.length] : '-';
+                    listMarker = isBullet ? marker : cycled;
+                    checkbox = null;
+                } else if (type === 'ordered') {
+                    listMarker = marker && !isBullet ? marker : '1.';
+                    checkbox = null;
+                } else {
+                    checkbox = checkbox || '[ ]';
+                }
+                return this.rebuildLine({ ...parsed, listMarker, checkbox });
+            }),
+            { renumber: true }
+        );
+    }
+
+    /**
+     * 返回 (index) → 选区第 index 行是否为代码块中围栏之后的行
+     */
+    getCodeContentChecker(codeBlocks, startLine) {
+        return (index) => codeBlocks.some(block => startLine + index > block.start && startLine + index <= block.end);
+    }
+
+    /**
+     * 代码块随开头的围栏行一起平移
+     * 
+     * 围栏之后的行（代码和结束围栏）只把围栏行原来的前缀换成转换后的前缀，代码本身的缩进不变；
+     * 开头围栏不在选区中的代码块保持原样。
+     * 
+     * @param {Array} codeBlocks - scanCodeBlocks 的结果
+     * @param {Array} parsedLines - 选区各行的解析结果
+     * @param {string[]} newLines - 按普通行转换后的结果，就地修改
+     * @param {number} startLine - 选区第一行的行号
+     * @returns {string[]} newLines
+     */
+    shiftCodeBlockLines(codeBlocks, parsedLines, newLines, startLine) {
+        const endLine = startLine + parsedLines.length - 1;
+        for (const block of codeBlocks) {
+            if (block.end < startLine || block.start > endLine) continue;
+            
+            let oldPrefix = null;
+            let newPrefix = null;
+            if (block.start >= startLine) {
+                const fence = parsedLines[block.start - startLine];
+                oldPrefix = fence.raw.substring(0, fence.prefixEnd);
+                const newFence = newLines[block.start - startLine];
+                newPrefix = newFence.substring(0, newFence.length - fence.raw.length + fence.prefixEnd);
+            }
+            
+            for (let i = Math.max(block.start + 1, startLine); i <= Math.min(block.end, endLine); i++) {
+                const raw = parsedLines[i - startLine].raw;
+                if (oldPrefix === null) {
+                    newLines[i - startLine] = raw;
+                } else if (raw.startsWith(oldPrefix)) {
+                    newLines[i - startLine] = newPrefix + raw.substring(oldPrefix.length);
+                } else if (oldPrefix.startsWith(raw)) {
+                    // 只有部分前缀的空行（如引用中的 ">"）
+                    newLines[i - startLine] = newPrefix.trimEnd();
+                } else {
+                    newLines[i - startLine] = raw;
+                }
+            }
+        }
+        return newLines;
+    }
+
+    /**
+     * 把选中行的引用层级转换为缩进层级
+     * 
+     * 移除所有引用符号；比选区中最浅的引用层级多出的每一层变为一个缩进单位，
+     * 加在原有的引用后缩进之前，相对层级保持不变（如 `> - a` / `> > - b` → `- a` / `\t- b`）。
+     * 代码块随围栏行一起平移，代码本身不变（见 shiftCodeBlockLines）。
+     */
+    convertQuoteToIndent(editor) {
+        const indentUnit = this.getIndentUnit(editor);
+        const codeBlocks = this.scanCodeBlocks((i) => editor.getLine(i), editor.lineCount());
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const isCode = this.getCodeContentChecker(codeBlocks, startLine);
+                const quoted = parsedLines.filter((parsed, index) => !isCode(index) && parsed.quotes && parsed.content.trim() !== '');
+                const baseLevel = quoted.length > 0 ? Math.min(...quoted.map(parsed => this.getQuoteLevel(parsed))) : 0;
+                
+                const newLines = parsedLines.map(parsed => {
+                    if (!parsed.quotes) return parsed.raw;
+                    if (!parsed.listMarker && parsed.content.trim() === '') return parsed.preQuoteIndent;
+                    const depth = Math.max(0, this.getQuoteLevel(parsed) - baseLevel);
+                    return this.rebuildLine({
+                        ...parsed,
+                        quotes: '',
+                        postQuoteIndent: indentUnit.repeat(depth) + parsed.postQuoteIndent
+                    });
+                });
+                return this.shiftCodeBlockLines(codeBlocks, parsedLines, newLines, startLine);
+            },
+            { renumber: true }
+        );
+    }
+
+    /**
+     * 把选中行的缩进层级转换为引用层级
+     * 
+     * 以选区中最浅的缩进为基准，每行增加 (缩进层级 - 基准层级 + 1) 层引用并移除对应的缩进，
+     * 不足一个缩进单位的空白（如列表续行的对齐空白）保留在引用之后。
+     * 已有引用的行按引用之后的缩进计算，新引用加在已有引用之后。
+     * 空行变为一层引用，使转换后的内容仍是一个引用块。
+     * 代码块随围栏行一起平移，代码本身不变（见 shiftCodeBlockLines）。
+     */
+    convertIndentToQuote(editor) {
+        const indentUnit = this.getIndentUnit(editor);
+        const unitWidth = this.getIndentWidth(indentUnit);
+        const quoteToken = this.getQuoteToken();
+        const indentOf = (parsed) => parsed.quotes ? parsed.postQuoteIndent : parsed.preQuoteIndent;
+        const codeBlocks = this.scanCodeBlocks((i) => editor.getLine(i), editor.lineCount());
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const isCode = this.getCodeContentChecker(codeBlocks, startLine);
+                const nonBlank = parsedLines.filter((parsed, index) => !isCode(index) && (parsed.listMarker || parsed.content.trim() !== ''));
+                const baseDepth = nonBlank.length > 0
+                    ? Math.min(...nonBlank.map(parsed => Math.floor(this.getIndentWidth(indentOf(parsed)) / unitWidth)))
+                    : 0;
+                
+                const newLines = parsedLines.map(parsed => {
+                    if (!parsed.listMarker && parsed.content.trim() === '') {
+                        return (parsed.raw + quoteToken).trimEnd();
+                    }
+                    const width = this.getIndentWidth(indentOf(parsed));
+                    const depth = Math.floor(width / unitWidth);
+                    const quotes = parsed.quotes + quoteToken.repeat(depth - baseDepth + 1);
+                    const remainder = ' '.repeat(width % unitWidth);
+                    return parsed.quotes
+                        ? this.rebuildLine({ ...parsed, quotes, postQuoteIndent: indentUnit.repeat(baseDepth) + remainder })
+                        : this.rebuildLine({ ...parsed, preQuoteIndent: indentUnit.repeat(baseDepth), quotes, postQuoteIndent: remainder });
+                });
+                return this.shiftCodeBlockLines(codeBlocks, parsedLines, newLines, startLine);
+            },
+            { renumber: true }
+        );
+    }
+
+    // ==================== 结构选区功能 ====================
+
+    /**
+     * 按结构逐级扩展每个选区
+     * 
+     * 层级由小到大：内容 → 整行 → 列表项子树 → 同级列表 →（上级列表项、上级列表…）
+     * → 所在引用层级 → 外层引用层级 → 整个 Callout。
+     * 每次扩展到严格包含当前选区的最小结构；扩展前的选区记入历史，供收缩时还原。
+     */
+    expandSelection(editor) {
+        const before = editor.listSelections();
+        const after = before.map(selection => {
+            const { from, to } = this.getSelectionBounds(selection);
+            const size = this.getRangeSize(editor, { from, to });
+            const larger = this.getStructureRanges(editor, from.line)
+                .filter(range => this.rangeContains(editor, range, from, to) && this.getRangeSize(editor, range) > size)
+                .sort((a, b) => this.getRangeSize(editor, a) - this.getRangeSize(editor, b));
+            return larger.length > 0 ? { anchor: larger[0].from, head: larger[0].to } : selection;
+        });
+        
+        const history = this.selectionHistory && this.selectionHistory.editor === editor &&
+                        this.isSameSelections(before, this.selectionHistory.current)
+            ? this.selectionHistory.stack
+            : [];
+        if (!this.isSameSelections(before, after)) history.push(before);
+        this.selectionHistory = { editor, stack: history, current: after };
+        editor.setSelections(after);
+    }
+
+    /**
+     * 按结构逐级收缩每个选区
+     * 
+     * 选区仍是上次扩展的结果时还原扩展前的选区；
+     * 否则收缩到当前选区内最大的结构，没有更小的结构时不变。
+     */
+    shrinkSelection(editor) {
+        const before = editor.listSelections();
+        const history = this.selectionHistory;
+        if (history && history.editor === editor && history.stack.length > 0 &&
+            this.isSameSelections(before, history.current)) {
+            history.current = history.stack.pop();
+            editor.setSelections(history.current);
             return;
         }
         
-        // 场景2: 光标在前缀中（引用、缩进部分）
-        // 注意：要排除已经被场景1处理的空引用行
-        if (cursorPos < parsed.prefixEnd) {
-            this.handleEnterInPrefix(editor, cursor, line, parsed, cursorPos);
+        const after = before.map(selection => {
+            const { from, to } = this.getSelectionBounds(selection);
+            const size = this.getRangeSize(editor, { from, to });
+            const smaller = this.getStructureRanges(editor, from.line)
+                .filter(range => this.rangeContains(editor, { from, to }, range.from, range.to) &&
+                                 this.getRangeSize(editor, range) < size)
+                .sort((a, b) => this.getRangeSize(editor, b) - this.getRangeSize(editor, a));
+            return smaller.length > 0 ? { anchor: smaller[0].from, head: smaller[0].to } : selection;
+        });
+        this.selectionHistory = null;
+        editor.setSelections(after);
+    }
+
+    /**
+     * 收集包含指定行的所有结构范围（未排序，可能重复）
+     * 
+     * @returns {Array<{from: object, to: object}>}
+     */
+    getStructureRanges(editor, lineNo) {
+        const getLine = (i) => editor.getLine(i);
+        const lineCount = editor.lineCount();
+        const codeLines = this.getCodeLineSet(getLine, lineCount);
+        const linesRange = (startLine, endLine) => ({
+            from: { line: startLine, ch: 0 },
+            to: { line: endLine, ch: getLine(endLine).length }
+        });
+        
+        const parsed = this.parseLine(getLine(lineNo));
+        const ranges = [
+            { from: { line: lineNo, ch: parsed.markerEnd }, to: { line: lineNo, ch: parsed.raw.length } },
+            linesRange(lineNo, lineNo)
+        ];
+        
+        // 列表项子树和同级列表，逐级向外
+        if (!codeLines.has(lineNo)) {
+            let item = parsed.listMarker ? lineNo : this.findParentListItem(getLine, lineNo, codeLines);
+            while (item !== null) {
+                ranges.push(linesRange(item, this.findListItemEnd(getLine, lineCount, item, codeLines)));
+                const siblings = this.findListSiblings(getLine, lineCount, item, codeLines);
+                ranges.push(linesRange(siblings.start, siblings.end));
+                item = this.findParentListItem(getLine, item, codeLines);
+            }
+        }
+        
+        // 引用层级：引用层级不低于 level 的连续行
+        for (let level = this.getQuoteLevel(parsed); level >= 1; level--) {
+            const inQuote = (i) => this.getQuoteLevel(this.parseLine(getLine(i))) >= level;
+            let start = lineNo;
+            while (start > 0 && inQuote(start - 1)) start--;
+            let end = lineNo;
+            while (end < lineCount - 1 && inQuote(end + 1)) end++;
+            ranges.push(linesRange(start, end));
+        }
+        
+        // 包含该行的 Callout（含外层 Callout）
+        for (let line = lineNo; line >= 0;) {
+            const header = this.findEnclosingCallout(editor, line);
+            if (!header) break;
+            const end = this.findCalloutEnd(editor, header);
+            if (end >= lineNo) ranges.push(linesRange(header.line, end));
+            line = header.line - 1;
+        }
+        
+        return ranges;
+    }
+
+    /**
+     * 查找包含指定行的上级列表项（行是其子项或续行），没有返回 null
+     */
+    findParentListItem(getLine, lineNo, codeLines) {
+        const target = this.parseLine(getLine(lineNo));
+        for (let i = lineNo - 1; i >= 0; i--) {
+            if (codeLines.has(i)) continue;
+            const parsed = this.parseLine(getLine(i));
+            const depth = this.compareListDepth(parsed, target);
+            if (depth === null) return null;
+            // 比目标行浅的列表项：子树覆盖目标行时即为上级（只需扫描到目标行）
+            if (parsed.listMarker && depth > 0) {
+                return this.findListItemEnd(getLine, lineNo + 1, i, codeLines) >= lineNo ? i : null;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 查找列表项所在的同级列表：第一个兄弟项到最后一个兄弟项子树的结束行
+     * 
+     * 更深的行（子项、续行）和空行跳过，遇到更浅或同级的非列表行即停止。
+     */
+    findListSiblings(getLine, lineCount, lineNo, codeLines) {
+        const base = this.parseLine(getLine(lineNo));
+        const isSibling = (i) => {
+            if (codeLines.has(i)) return 'inner';
+            const parsed = this.parseLine(getLine(i));
+            const depth = this.compareListDepth(base, parsed);
+            if (depth === null) return 'stop';
+            if (!parsed.listMarker && parsed.content.trim() === '') return 'inner';
+            if (depth > 0) return 'inner';
+            return depth === 0 && parsed.listMarker ? 'sibling' : 'stop';
+        };
+        
+        let start = lineNo;
+        for (let i = lineNo - 1; i >= 0; i--) {
+            const role = isSibling(i);
+            if (role === 'stop') break;
+            if (role === 'sibling') start = i;
+        }
+        let last = lineNo;
+        for (let i = lineNo + 1; i < lineCount; i++) {
+            const role = isSibling(i);
+            if (role === 'stop') break;
+            if (role === 'sibling') last = i;
+        }
+        return { start, end: this.findListItemEnd(getLine, lineCount, last, codeLines) };
+    }
+
+    /**
+     * 判断范围是否包含 from 到 to
+     */
+    rangeContains(editor, range, from, to) {
+        return editor.posToOffset(range.from) <= editor.posToOffset(from) &&
+               editor.posToOffset(range.to) >= editor.posToOffset(to);
+    }
+
+    /**
+     * 范围的字符数
+     */
+    getRangeSize(editor, range) {
+        return editor.posToOffset(range.to) - editor.posToOffset(range.from);
+    }
+
+    /**
+     * 判断两组选区是否相同
+     */
+    isSameSelections(a, b) {
+        const same = (p, q) => p.line === q.line && p.ch === q.ch;
+        return a.length === b.length &&
+               a.every((selection, i) => same(selection.anchor, b[i].anchor) && same(selection.head, b[i].head));
+    }
+
+    // ==================== 列表嵌套功能 ====================
+
+    /**
+     * 判断所有选区的首行是否都是列表项（不在代码块中）
+     */
+    isListNestingTarget(editor) {
+        const getLine = (i) => editor.getLine(i);
+        const codeLines = this.getCodeLineSet(getLine, editor.lineCount());
+        return this.getSelectionLineRanges(editor).every(range =>
+            !codeLines.has(range.startLine) && !!this.parseLine(getLine(range.startLine)).listMarker
+        );
+    }
+
+    /**
+     * 列表项嵌套 (Tab) / 取消嵌套 (Shift+Tab) - 作用于所有光标和选区
+     * 
+     * 嵌套发生在引用符号之后（postQuoteIndent），不移动引用符号；列表项的子树一起移动。
+     * - 嵌套：成为上一个兄弟项的子项，与其已有子项对齐并延续其序号；没有子项时有序列表从 1 开始
+     * - 取消嵌套：成为父项的兄弟项，列表标记换成父项的样式并接续其序号
+     * 没有上一个兄弟项（或父项）时保持不变。
+     */
+    nestListItems(editor, nest) {
+        const getLine = (i) => editor.getLine(i);
+        const lineCount = editor.lineCount();
+        const codeLines = this.getCodeLineSet(getLine, lineCount);
+        const indentUnit = this.getIndentUnit(editor);
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines, startLine) => {
+                const first = parsedLines[0];
+                const target = nest
+                    ? this.getNestTarget(getLine, lineCount, startLine, codeLines, indentUnit)
+                    : this.getUnnestTarget(getLine, startLine, codeLines);
+                if (!target) return parsedLines.map(parsed => parsed.raw);
+                
+                const field = this.getQuoteLevel(first) > 0 ? 'postQuoteIndent' : 'preQuoteIndent';
+                const oldIndent = first[field];
+                const styleOrdered = this.parseOrderedMarker(target.marker);
+                let nextValue = target.value;
+                
+                return parsedLines.map((parsed, index) => {
+                    const depth = this.compareListDepth(first, parsed);
+                    if (depth === null || (parsed.content.trim() === '' && !parsed.listMarker)) {
+                        return parsed.raw;
+                    }
+                    
+                    const indent = parsed[field];
+                    const rest = indent.startsWith(oldIndent)
+                        ? indent.substring(oldIndent.length)
+                        : indent.substring(Math.min(oldIndent.length, indent.length));
+                    const newParsed = { ...parsed, [field]: target.indent + rest };
+                    
+                    // 与首项同级的列表项换成目标样式
+                    if (depth === 0 && parsed.listMarker && !codeLines.has(startLine + index)) {
+                        newParsed.listMarker = styleOrdered
+                            ? this.formatOrderedMarker(styleOrdered, nextValue++)
+                            : target.marker;
+                    }
+                    return this.rebuildLine(newParsed);
+                });
+            },
+            {
+                // 选中的列表项连同子树一起移动
+                expandRange: (startLine, endLine) => {
+                    for (let i = startLine; i <= endLine; i++) {
+                        if (!codeLines.has(i) && this.parseLine(getLine(i)).listMarker) {
+                            endLine = Math.max(endLine, this.findListItemEnd(getLine, lineCount, i, codeLines));
+                        }
+                    }
+                    return { startLine, endLine };
+                },
+                renumber: true
+            }
+        );
+    }
+
+    /**
+     * 计算嵌套到上一个兄弟项之下的目标缩进和列表标记
+     * 
+     * @returns {{indent: string, marker: string, value: number}|null} 没有上一个兄弟项时返回 null
+     */
+    getNestTarget(getLine, lineCount, lineNo, codeLines, indentUnit) {
+        const item = this.parseLine(getLine(lineNo));
+        const field = this.getQuoteLevel(item) > 0 ? 'postQuoteIndent' : 'preQuoteIndent';
+        
+        let sibling = -1;
+        for (let i = lineNo - 1; i >= 0; i--) {
+            if (codeLines.has(i)) continue;
+            const parsed = this.parseLine(getLine(i));
+            if (!parsed.listMarker && parsed.content.trim() === '') continue;
+            const depth = this.compareListDepth(item, parsed);
+            if (depth === null || depth < 0) break;
+            if (depth === 0) {
+                if (parsed.listMarker) sibling = i;
+                break;
+            }
+        }
+        if (sibling === -1) return null;
+        
+        // 已有子项：对齐到最后一个同级子项，并接续它的序号
+        const siblingParsed = this.parseLine(getLine(sibling));
+        const firstChild = this.findFirstChildItem(getLine, lineNo - 1, sibling);
+        if (firstChild) {
+            let lastChild = firstChild;
+            for (let i = sibling + 1; i < lineNo; i++) {
+                const parsed = this.parseLine(getLine(i));
+                if (!codeLines.has(i) && parsed.listMarker && this.compareListDepth(firstChild, parsed) === 0) {
+                    lastChild = parsed;
+                }
+            }
+            const ordered = this.parseOrderedMarker(lastChild.listMarker);
+            return { indent: lastChild[field], marker: lastChild.listMarker, value: ordered ? ordered.value + 1 : 1 };
+        }
+        
+        // 没有子项：多一个缩进单位，有序列表从 1 开始，无序列表可按层级循环符号
+        let marker = item.listMarker;
+        if (!this.parseOrderedMarker(marker) && this.settings.cycleBulletMarkers) {
+            marker = BULLET_CYCLE[(BULLET_CYCLE.indexOf(siblingParsed.listMarker) + 1) % BULLET_CYCLE.length];
+        }
+        return { indent: siblingParsed[field] + indentUnit, marker, value: 1 };
+    }
+
+    /**
+     * 计算取消嵌套后的目标缩进和列表标记（父项的兄弟项）
+     * 
+     * @returns {{indent: string, marker: string, value: number}|null} 没有父项时返回 null
+     */
+    getUnnestTarget(getLine, lineNo, codeLines) {
+        const item = this.parseLine(getLine(lineNo));
+        const field = this.getQuoteLevel(item) > 0 ? 'postQuoteIndent' : 'preQuoteIndent';
+        
+        for (let i = lineNo - 1; i >= 0; i--) {
+            if (codeLines.has(i)) continue;
+            const parsed = this.parseLine(getLine(i));
+            const depth = this.compareListDepth(item, parsed);
+            if (depth === null) return null;
+            if (!parsed.listMarker) {
+                // 没有缩进的普通段落结束列表
+                if (parsed.content.trim() !== '' && parsed[field] === '') return null;
+                continue;
+            }
+            if (depth < 0) {
+                const ordered = this.parseOrderedMarker(parsed.listMarker);
+                return { indent: parsed[field], marker: parsed.listMarker, value: ordered ? ordered.value + 1 : 1 };
+            }
+        }
+        return null;
+    }
+
+    // ==================== 结构规范化功能 ====================
+
+    /**
+     * 规范化结构 - 有选区时处理选中行，否则处理整个文档
+     * 
+     * 把每一行改写为统一形式：引用符号按设置的风格、缩进使用设置的缩进单位、
+     * 同一层级的无序列表使用同一符号、有序列表重新编号。代码块（含围栏）保持不变。
+     * 应用前先显示将要修改的行数。
+     */
+    normalizeStructure(editor) {
+        const ranges = editor.somethingSelected()
+            ? this.getSelectionLineRanges(editor)
+            : [{ startLine: 0, endLine: editor.lastLine() }];
+        
+        // 整个文档一起计算，选区中的行也能按上文确定列表层级和代码块
+        const oldLines = [];
+        for (let i = 0; i < editor.lineCount(); i++) {
+            oldLines.push(editor.getLine(i));
+        }
+        const isSelected = (i) => ranges.some(range => i >= range.startLine && i <= range.endLine);
+        const newLines = this.normalizeLines(oldLines, this.getIndentUnit(editor), isSelected);
+        
+        const edits = [];
+        let changedCount = 0;
+        for (const range of ranges) {
+            let changed = 0;
+            for (let i = range.startLine; i <= range.endLine; i++) {
+                if (newLines[i] !== oldLines[i]) changed++;
+            }
+            if (changed === 0) continue;
+            
+            changedCount += changed;
+            edits.push(this.makeLineEdit(range.startLine, range.endLine, newLines.slice(range.startLine, range.endLine + 1).join('\n')));
+        }
+        
+        if (changedCount === 0) {
+            new Notice('结构已经是规范形式，无需修改');
             return;
         }
         
-        // 场景3: 在列表项中
-        if (parsed.listMarker) {
-            // 场景2.1: 光标在列表标记中
-            if (cursorPos < parsed.markerEnd) {
-                this.handleEnterInMarker(editor, cursor, line, parsed, cursorPos);
-                return;
+        new NormalizePreviewModal(this.app, changedCount, () => {
+            this.applyLineEdits(editor, edits);
+        }).open();
+    }
+
+    /**
+     * 计算一组行的规范形式（不修改编辑器）
+     * 
+     * - 引用：`>>`、`>  >` 等统一为设置的引用符号；只有引用符号的行去掉行尾空格
+     * - 列表项缩进：按嵌套深度重写为 N 个缩进单位（引用内的列表在引用符号之后）
+     * - 续行和子段落：保持相对所属列表项内容列的偏移，跟随列表项移动；
+     *   不属于任何列表项的行按视觉宽度换算为缩进单位，余下的列用空格
+     * - 列表项中的代码块：整体平移到列表项的新内容列，代码本身的缩进不变
+     * - 无序列表：同一深度使用同一符号（开启循环时按 - → * → +，否则统一为 -）
+     * - 有序列表：重新编号
+     * 
+     * @param {string[]} lines
+     * @param {string} indentUnit - 目标缩进单位
+     * @param {function} [isTarget] - (index) → 是否改写该行；其余行只作为上下文，原样返回
+     * @returns {string[]}
+     */
+    normalizeLines(lines, indentUnit, isTarget = () => true) {
+        const codeLines = new Set();
+        const codeStarts = new Set();
+        for (const block of this.scanCodeBlocks((i) => lines[i], lines.length)) {
+            codeStarts.add(block.start);
+            for (let i = block.start; i <= block.end; i++) {
+                codeLines.add(i);
             }
+        }
+        
+        const unitWidth = this.getIndentWidth(indentUnit);
+        const quoteToken = this.getQuoteToken();
+        const toUnits = (width) => indentUnit.repeat(Math.floor(width / unitWidth)) + ' '.repeat(width % unitWidth);
+        
+        // 拆出行的引用和缩进信息；width 为引用内（或行首）的缩进宽度
+        const locate = (line) => {
+            const { preQuoteIndent, level, rest } = this.splitLooseQuotes(line);
+            const parsed = this.parseLine(rest);
+            const outerIndent = level > 0 ? toUnits(this.getIndentWidth(preQuoteIndent)) : '';
+            const indentSource = level > 0 ? parsed.preQuoteIndent : preQuoteIndent + parsed.preQuoteIndent;
+            return {
+                parsed,
+                level,
+                outerIndent,
+                lineContext: level + ':' + outerIndent,
+                width: this.getIndentWidth(indentSource)
+            };
+        };
+        
+        // 每个引用上下文中的列表项栈，栈深即嵌套深度；
+        // 每项记录原缩进宽度、原内容列和规范化后的内容列
+        let context = null;
+        let stack = [];
+        // 缩进达到某个列表项内容列的行属于该项（取最深的一项）
+        const findOwner = (width) => {
+            for (let k = stack.length - 1; k >= 0; k--) {
+                if (stack[k].content <= width) return stack[k];
+            }
+            return null;
+        };
+        
+        // 代码行：把属于列表项的那部分缩进换成新的内容列，代码自身的缩进原样保留
+        let codeOwner = null;
+        const shiftCodeLine = (line) => {
+            const { rest } = this.splitLooseQuotes(line);
+            const head = codeOwner.level > 0 ? line.substring(0, line.length - rest.length) : '';
+            const body = codeOwner.level > 0 ? rest : line;
+            const indent = body.match(/^[ \t]*/)[0];
+            if (indent.length === body.length) return line;
             
-            // 场景2.2: 空列表项（内容为空）
-            if (parsed.content.trim() === '') {
-                this.handleEmptyListEnter(editor, cursor, line, parsed);
-                return;
+            let consumed = 0;
+            while (consumed < indent.length && this.getIndentWidth(indent.substring(0, consumed)) < codeOwner.content) {
+                consumed++;
+            }
+            const width = this.getIndentWidth(indent.substring(0, consumed));
+            return head + toUnits(Math.max(0, codeOwner.newContent + width - codeOwner.content)) + body.substring(consumed);
+        };
+        
+        const normalized = lines.map((line, index) => {
+            if (codeLines.has(index)) {
+                if (codeStarts.has(index)) {
+                    const { level, lineContext, width } = locate(line);
+                    const owner = lineContext === context ? findOwner(width) : null;
+                    codeOwner = owner && owner.newContent !== owner.content ? { ...owner, level } : null;
+                }
+                return codeOwner ? shiftCodeLine(line) : line;
+            }
+            
+            const { parsed, level, outerIndent, lineContext, width } = locate(line);
+            const quotes = quoteToken.repeat(level);
+            
+            // 只有前缀的行
+            if (!parsed.listMarker && parsed.content.trim() === '') {
+                return (outerIndent + quotes).trimEnd();
+            }
+            
+            if (lineContext !== context) {
+                context = lineContext;
+                stack = [];
+            }
+            
+            if (!parsed.listMarker) {
+                // 没有缩进的普通段落结束列表
+                if (width === 0) stack = [];
+                // 续行和子段落保持相对所属列表项内容列的偏移
+                const owner = findOwner(width);
+                const newWidth = owner ? owner.newContent + width - owner.content : width;
+                return outerIndent + quotes + toUnits(newWidth) + parsed.content;
+            }
+            
+            while (stack.length > 0 && stack[stack.length - 1].width >= width) stack.pop();
+            const depth = stack.length;
+            
+            let listMarker = parsed.listMarker;
+            if (BULLET_CYCLE.includes(listMarker)) {
+                listMarker = this.settings.cycleBulletMarkers ? BULLET_CYCLE[depth % BULLET_CYCLE.length] : '-';
+            }
+            // 内容列从列表标记之后算起，复选框属于内容
+            const markerWidth = parsed.raw.substring(parsed.prefixEnd).match(/^\S+[ \t]*/)[0].length;
+            // 子项比父项多一个缩进单位；不改写的行保持原样，它的子项跟随它的实际缩进
+            const parent = stack[stack.length - 1];
+            const target = isTarget(index);
+            const indent = target ? (parent ? parent.indent + unitWidth : 0) : width;
+            stack.push({
+                width,
+                content: width + markerWidth,
+                indent,
+                newContent: target ? indent + listMarker.length + 1 : width + markerWidth
+            });
+            
+            return outerIndent + quotes + toUnits(indent) +
+                   this.extractMarker({ ...parsed, listMarker }) + parsed.content;
+        });
+        const result = normalized.map((line, index) => (isTarget(index) ? line : lines[index]));
+        
+        // 有序列表重新编号（只改写目标行的序号）
+        const getLine = (i) => result[i];
+        const visited = new Set();
+        for (let i = 0; i < result.length; i++) {
+            if (visited.has(i) || codeLines.has(i)) continue;
+            if (!this.parseOrderedMarker(this.parseLine(result[i]).listMarker)) continue;
+            for (const edit of this.computeRenumberEdits(getLine, result.length, i, visited, codeLines)) {
+                if (!isTarget(edit.line)) continue;
+                const line = result[edit.line];
+                result[edit.line] = line.substring(0, edit.from) + edit.text + line.substring(edit.to);
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * 拆分行首的引用符号，允许 `>` 之间有任意空白（如 `>  >`、`>>`）
+     * 
+     * @returns {{preQuoteIndent: string, level: number, rest: string}} rest 为最后一个 `>` 及其后一个空格之后的部分
+     */
+    splitLooseQuotes(line) {
+        const preQuoteIndent = line.match(/^[ \t]*/)[0];
+        let pos = preQuoteIndent.length;
+        let level = 0;
+        while (line[pos] === '>') {
+            level++;
+            pos++;
+            const next = line.substring(pos).match(/^[ \t]*/)[0];
+            if (line[pos + next.length] === '>') {
+                pos += next.length;
+            } else if (line[pos] === ' ') {
+                pos++;
+            }
+        }
+        return { preQuoteIndent, level, rest: line.substring(pos) };
+    }
+
+    // ==================== 按块移动功能 ====================
+
+    /**
+     * 按块上移 / 下移 - 作用于所有光标和选区
+     * 
+     * 移动单位是逻辑块：列表项连同子树、Callout 连同正文、整个代码块，其他情况为单行。
+     * 块与相邻的块整体交换位置，默认保留自己的前缀；只有真正进入或离开容器时
+     * （见 getMoveTargetPrefix），才按智能粘贴的相对缩进算法改写为目标位置的前缀。
+     * 
+     * @param {number} direction - -1 上移，1 下移
+     */
+    moveBlock(editor, direction) {
+        const getLine = (i) => editor.getLine(i);
+        const lineCount = editor.lineCount();
+        const codeBlocks = this.scanCodeBlocks(getLine, lineCount);
+        const codeLines = this.getCodeLineSet(getLine, lineCount);
+        const getBlock = (lineNo) => this.getMoveBlock(editor, lineNo, codeBlocks, codeLines);
+        
+        const ranges = this.getSelectionLineRanges(editor, (startLine, endLine) => {
+            const range = { startLine: getBlock(startLine).startLine, endLine };
+            for (let i = startLine; i <= endLine; i++) {
+                range.endLine = Math.max(range.endLine, getBlock(i).endLine);
+            }
+            return range;
+        });
+        
+        const computeEdit = (range) => {
+            const neighbor = direction < 0
+                ? this.findPreviousMoveBlock(range.startLine, getBlock)
+                : (range.endLine + 1 < lineCount ? getBlock(range.endLine + 1) : null);
+            if (!neighbor) {
+                // 已在文档边缘：不移动，保留选区
+                const lines = [];
+                for (let i = range.startLine; i <= range.endLine; i++) {
+                    lines.push(getLine(i));
+                }
+                return { startLine: range.startLine, endLine: range.endLine, text: lines.join('\n'), selections: range.selections };
+            }
+            
+            // 块的各行，进入不同前缀的上下文时改写前缀
+            const structures = [];
+            for (let i = range.startLine; i <= range.endLine; i++) {
+                structures.push(this.parseLine(getLine(i)));
+            }
+            const neighborParsed = this.parseLine(getLine(neighbor.startLine));
+            const blockPrefix = this.extractPrefix(structures[0]);
+            const destPrefix = this.getMoveTargetPrefix(getLine, lineCount, range, neighbor, direction, getBlock);
+            
+            let blockLines = structures.map(struct => struct.raw);
+            if (destPrefix !== null && destPrefix !== blockPrefix) {
+                const minPrefix = this.getCommonSourcePrefix(structures, true);
+                blockLines = this.reprefixLines(
+                    structures,
+                    (index) => codeLines.has(range.startLine + index),
+                    destPrefix,
+                    minPrefix
+                );
+            }
+            
+            const neighborLines = [];
+            for (let i = neighbor.startLine; i <= neighbor.endLine; i++) {
+                neighborLines.push(getLine(i));
             }
             
-            // 场景3.3: 非空列表项
-            this.handleListEnter(editor, cursor, line, parsed, cursorPos);
-            return;
+            // 同级有序列表项互换序号，保持列表从原来的序号开始
+            if (this.extractPrefix(neighborParsed) === blockPrefix &&
+                this.parseOrderedMarker(structures[0].listMarker) && this.parseOrderedMarker(neighborParsed.listMarker)) {
+                blockLines[0] = this.rebuildLine({ ...structures[0], listMarker: neighborParsed.listMarker });
+                neighborLines[0] = this.rebuildLine({ ...neighborParsed, listMarker: structures[0].listMarker });
+            }
+            
+            const startLine = Math.min(range.startLine, neighbor.startLine);
+            const endLine = Math.max(range.endLine, neighbor.endLine);
+            const newLines = direction < 0 ? [...blockLines, ...neighborLines] : [...neighborLines, ...blockLines];
+            
+            // 选区随块移动，前缀长度变化时内容区位置一起平移
+            const lineOffset = direction < 0 ? -neighborLines.length : neighborLines.length;
+            const mapPos = (pos) => {
+                const index = pos.line - range.startLine;
+                const oldLine = structures[index].raw;
+                const newLine = blockLines[index];
+                const offset = newLine.length - oldLine.length;
+                const ch = pos.ch < structures[index].prefixEnd ? Math.min(pos.ch, newLine.length) : Math.max(0, pos.ch + offset);
+                return { line: pos.line + lineOffset, ch };
+            };
+            
+            return {
+                startLine,
+                endLine,
+                text: newLines.join('\n'),
+                selections: range.selections.map(({ anchor, head }) => ({ anchor: mapPos(anchor), head: mapPos(head) }))
+            };
+        };
+        
+        // 相邻块的移动互相重叠时（如连续几行上的光标），合并为一个范围整体移动
+        const moves = [];
+        for (let range of ranges) {
+            let edit = computeEdit(range);
+            while (moves.length > 0 && edit.startLine <= moves[moves.length - 1].edit.endLine) {
+                const previous = moves.pop().range;
+                range = {
+                    startLine: previous.startLine,
+                    endLine: range.endLine,
+                    selections: [...previous.selections, ...range.selections]
+                };
+                edit = computeEdit(range);
+            }
+            moves.push({ range, edit });
         }
         
-        // 场景4: 普通行
-        this.handleNormalEnter(editor, cursor, line, parsed, cursorPos);
+        this.applyLineEdits(editor, moves.map(move => move.edit), { replaceSelections: true, renumber: true });
     }
-    
+
     /**
-     * 处理：空引用行换行
-     * 行为：逐层退出引用块（Obsidian 默认行为）
+     * 获取包含指定行的移动单位
      * 
-     * 逻辑：
-     * - 在空引用行按 Enter，引用层级减少 1 层
-     * - 例如：`> > > > ` → 当前行变成 `> > > `，新行也是 `> > > `
-     * - 直到完全退出引用块
+     * @returns {{startLine: number, endLine: number}}
      */
-    handleEmptyQuoteEnter(editor, cursor, line, parsed) {
-        // 统计当前的引用层级
-        const quoteCount = (parsed.quotes.match(/>/g) || []).length;
+    getMoveBlock(editor, lineNo, codeBlocks, codeLines) {
+        const getLine = (i) => editor.getLine(i);
         
-        if (quoteCount === 0) {
-            // 没有引用符号，正常换行
-            this.handleNormalEnter(editor, cursor, line, parsed, cursor.ch);
-            return;
-        }
+        const block = codeBlocks.find(block => lineNo >= block.start && lineNo <= block.end);
+        if (block) return { startLine: block.start, endLine: block.end };
         
-        if (quoteCount === 1) {
-            // 只有一层引用，完全退出引用块
-            // 当前行变成空行，新行也是空行
-            const newText = parsed.preQuoteIndent + '\n' + parsed.preQuoteIndent;
-            
-            editor.replaceRange(
-                newText,
-                { line: cursor.line, ch: 0 },
-                { line: cursor.line, ch: line.length }
-            );
-            
-            editor.setCursor({ 
-                line: cursor.line + 1, 
-                ch: parsed.preQuoteIndent.length 
-            });
-            return;
+        const parsed = this.parseLine(getLine(lineNo));
+        if (parsed.listMarker) {
+            return { startLine: lineNo, endLine: this.findListItemEnd(getLine, editor.lineCount(), lineNo, codeLines) };
         }
-        
-        // 减少一层引用
-        const newQuoteCount = quoteCount - 1;
-        let newQuotes = '';
-        for (let i = 0; i < newQuoteCount; i++) {
-            newQuotes += '> ';
+        if (parsed.callout) {
+            const header = { line: lineNo, parsed, level: this.getQuoteLevel(parsed) };
+            return { startLine: lineNo, endLine: this.findCalloutEnd(editor, header) };
         }
+        return { startLine: lineNo, endLine: lineNo };
+    }
+
+    /**
+     * 计算块移动后应使用的前缀，保留原前缀时返回 null
+     * 
+     * - 进入容器：移动后块两侧的行（相邻块靠近块的一行、另一侧紧挨着的行）都不为空、
+     *   前缀相同且比块更深，如普通行移到两行引用之间，改用这一前缀
+     * - 离开容器：上移越过自己所属的父列表项时，成为父项的同级
+     * - 其他情况（只是与相邻块交换位置）保留原前缀，
+     *   如 Callout 越过一行普通段落时仍是 Callout
+     * 
+     * @param {{startLine: number, endLine: number}} range - 要移动的块
+     * @param {{startLine: number, endLine: number}} neighbor - 与之交换的相邻块
+     * @param {number} direction - -1 上移，1 下移
+     * @returns {string|null}
+     */
+    getMoveTargetPrefix(getLine, lineCount, range, neighbor, direction, getBlock) {
+        const blockParsed = this.parseLine(getLine(range.startLine));
+        const neighborParsed = this.parseLine(getLine(neighbor.startLine));
+        const isBlank = (parsed) => !parsed.listMarker && parsed.content.trim() === '';
         
-        // 构建新的前缀（保持引用前缩进和引用后缩进）
-        const newPrefix = parsed.preQuoteIndent + newQuotes + parsed.postQuoteIndent;
-        
-        // 替换当前行并插入新行
-        const newText = newPrefix + '\n' + newPrefix;
-        
-        editor.replaceRange(
-            newText,
-            { line: cursor.line, ch: 0 },
-            { line: cursor.line, ch: line.length }
-        );
+        const outerLine = direction < 0 ? neighbor.startLine - 1 : neighbor.endLine + 1;
+        if (outerLine >= 0 && outerLine < lineCount) {
+            const inner = this.parseLine(getLine(direction < 0 ? neighbor.startLine : neighbor.endLine));
+            const outer = this.parseLine(getLine(outerLine));
+            const prefix = this.extractPrefix(inner);
+            const deeper = this.getQuoteLevel(inner) > this.getQuoteLevel(blockParsed) ||
+                           this.compareListDepth(blockParsed, inner) > 0;
+            if (!isBlank(inner) && !isBlank(outer) && this.extractPrefix(outer) === prefix && deeper) {
+                return prefix;
+            }
+        }
         
-        // 光标移到新行
-        editor.setCursor({ line: cursor.line + 1, ch: newPrefix.length });
+        if (direction < 0 && neighborParsed.listMarker &&
+            getBlock(neighbor.startLine).endLine >= range.endLine &&
+            this.compareListDepth(neighborParsed, blockParsed) > 0) {
+            return this.extractPrefix(neighborParsed);
+        }
+        return null;
     }
 
     /**
-     * 处理：光标在前缀中换行
-     * 行为：只继承光标前的前缀，不继承列表标记
+     * 查找紧挨在 startLine 之上的相邻块
+     * 
+     * 向上扫描，取结束于 startLine - 1 的最大的块（如上一个兄弟项连同子树）；
+     * 遇到包含当前块的父级时停止。都不满足时退化为上一行。
      */
-    handleEnterInPrefix(editor, cursor, line, parsed, cursorPos) {
-        const beforeCursor = line.substring(0, cursorPos);
-        const afterCursor = line.substring(cursorPos);
-        
-        // 解析光标前的部分，提取前缀
-        const beforeParsed = this.parseLine(beforeCursor);
-        const inheritedPrefix = this.extractPrefix(beforeParsed);
+    findPreviousMoveBlock(startLine, getBlock) {
+        if (startLine === 0) return null;
         
-        // 构建新行
-        const newText = beforeCursor + '\n' + inheritedPrefix + afterCursor;
+        let neighbor = null;
+        for (let i = startLine - 1; i >= 0; i--) {
+            const block = getBlock(i);
+            if (block.endLine !== startLine - 1) break;
+            if (block.startLine === i) neighbor = block;
+        }
+        return neighbor || { startLine: startLine - 1, endLine: startLine - 1 };
+    }
+
+    // ==================== 缩进和引用调整功能 ====================
+    
+    /**
+     * 整体块缩进 - 作用于所有光标和选区
+     * 
+     * 默认扩展到逻辑块：列表项连同子项和续行、整个引用段落一起移动；
+     * 选区涉及代码块的围栏行时，整个代码块一起移动。
+     */
+    adjustBlockIndent(editor, increase) {
+        const indentUnit = this.getIndentUnit(editor);
+        const expandSubtree = this.settings.blockIndentScope === 'subtree';
         
-        editor.replaceRange(
-            newText,
-            { line: cursor.line, ch: 0 },
-            { line: cursor.line, ch: line.length }
+        this.editSelectedLines(
+            editor,
+            (parsedLines) => parsedLines.map(parsed => {
+                if (!increase) return this.outdentLine(parsed, indentUnit);
+                // 子树中的空行不添加缩进，避免产生行尾空白
+                return parsed.raw === '' ? '' : indentUnit + parsed.raw;
+            }),
+            {
+                expandRange: (startLine, endLine) => {
+                    const range = expandSubtree
+                        ? this.expandRangeToLogicalBlock(editor, startLine, endLine)
+                        : { startLine, endLine };
+                    return this.expandRangeToCodeBlocks(editor, range.startLine, range.endLine);
+                },
+                renumber: true
+            }
         );
-        
-        editor.setCursor({ line: cursor.line + 1, ch: inheritedPrefix.length });
     }
 
     /**
-     * 处理：光标在列表标记中换行
-     * 行为：只继承前缀，不继承列表标记
+     * 将行范围扩展到完整的逻辑块
+     * 
+     * - 列表项：扩展到子项、续行和其中代码块的末尾
+     * - 引用中的非列表行：扩展到所在的整个引用段落（同级或更深的连续非空引用行）
      */
-    handleEnterInMarker(editor, cursor, line, parsed, cursorPos) {
-        const beforeCursor = line.substring(0, cursorPos);
-        const afterCursor = line.substring(cursorPos);
+    expandRangeToLogicalBlock(editor, startLine, endLine) {
+        const getLine = (i) => editor.getLine(i);
+        const lineCount = editor.lineCount();
+        const codeLines = this.getCodeLineSet(getLine, lineCount);
         
-        const prefix = this.extractPrefix(parsed);
-        
-        const newText = beforeCursor + '\n' + prefix + afterCursor;
+        const isParagraphLine = (i, level) => {
+            if (codeLines.has(i)) return true;
+            const parsed = this.parseLine(getLine(i));
+            return this.getQuoteLevel(parsed) >= level && (parsed.content.trim() !== '' || !!parsed.listMarker);
+        };
         
-        editor.replaceRange(
-            newText,
-            { line: cursor.line, ch: 0 },
-            { line: cursor.line, ch: line.length }
-        );
+        for (let i = startLine; i <= endLine; i++) {
+            if (codeLines.has(i)) continue;
+            const parsed = this.parseLine(getLine(i));
+            
+            if (parsed.listMarker) {
+                endLine = Math.max(endLine, this.findListItemEnd(getLine, lineCount, i, codeLines));
+                continue;
+            }
+            
+            const level = this.getQuoteLevel(parsed);
+            if (level === 0 || parsed.content.trim() === '') continue;
+            while (startLine > 0 && isParagraphLine(startLine - 1, level)) startLine--;
+            while (endLine < lineCount - 1 && isParagraphLine(endLine + 1, level)) endLine++;
+        }
         
-        editor.setCursor({ line: cursor.line + 1, ch: prefix.length });
+        return { startLine, endLine };
     }
 
     /**
-     * 处理：空列表项换行
-     * 行为：移除列表标记，光标留在当前行
+     * 整体块减少缩进：有引用前缩进时减少引用前缩进，否则减少引用符号之后的缩进
+     * 
+     * 只替换缩进部分，行的其余内容保持原样。
      */
-    handleEmptyListEnter(editor, cursor, line, parsed) {
-        const prefix = this.extractPrefix(parsed);
-        
-        editor.replaceRange(
-            prefix,
-            { line: cursor.line, ch: 0 },
-            { line: cursor.line, ch: line.length }
-        );
-        
-        editor.setCursor({ line: cursor.line, ch: prefix.length });
+    outdentLine(parsed, indentUnit) {
+        if (parsed.preQuoteIndent) {
+            return this.removeLeadingIndent(parsed.raw, indentUnit);
+        }
+        if (parsed.quotes && parsed.postQuoteIndent) {
+            const quoteEnd = parsed.quotes.length;
+            return parsed.raw.substring(0, quoteEnd) +
+                   this.removeLeadingIndent(parsed.postQuoteIndent, indentUnit) +
+                   parsed.raw.substring(parsed.prefixEnd);
+        }
+        return parsed.raw;
     }
 
     /**
-     * 处理：非空列表项换行
-     * 行为：生成下一个列表项，分割内容
+     * 移除行首的一个缩进单位（按视觉列计算）
+     * 
+     * 行首正好是一个缩进单位时直接移除，保证缩进后再减少缩进能还原原行；
+     * 否则退到上一个缩进单位的整数列，制表符和空格混用时也按列对齐。
      */
-    handleListEnter(editor, cursor, line, parsed, cursorPos) {
-        const prefix = this.extractPrefix(parsed);
-        const nextMarker = this.getNextListMarker(parsed.listMarker);
-        
-        // 分割当前行
-        const beforeCursor = line.substring(0, cursorPos);
-        const afterCursor = line.substring(cursorPos);
+    removeLeadingIndent(line, indentUnit = this.getIndentUnit()) {
+        if (line.startsWith(indentUnit)) {
+            return line.substring(indentUnit.length);
+        }
         
-        // 新行：前缀 + 下一个列表标记 + 光标后内容
-        const newLine = prefix + nextMarker + ' ' + afterCursor;
+        const leading = line.match(/^[ \t]*/)[0];
+        if (!leading) return line;
         
-        editor.replaceRange(
-            beforeCursor + '\n' + newLine,
-            { line: cursor.line, ch: 0 },
-            { line: cursor.line, ch: line.length }
-        );
+        const width = this.getIndentWidth(leading);
+        const unitWidth = this.getIndentWidth(indentUnit);
+        const target = width % unitWidth === 0 ? width - unitWidth : width - (width % unitWidth);
         
-        editor.setCursor({ 
-            line: cursor.line + 1, 
-            ch: prefix.length + nextMarker.length + 1 
-        });
+        let rest = leading;
+        while (rest && this.getIndentWidth(rest) > target) {
+            rest = rest.substring(1);
+        }
+        return ' '.repeat(target - this.getIndentWidth(rest)) + rest + line.substring(leading.length);
     }
 
     /**
-     * 处理：普通行换行
-     * 行为：继承前缀，分割内容
+     * 在最内层（紧挨内容）调整引用层级 - 作用于所有光标和选区
+     * 
+     * 引用前后的缩进、列表标记和内容保持原样，只改写引用符号部分。
+     * 
+     * @param {function} getTargetLevel - (当前层级) → 目标层级
      */
-    handleNormalEnter(editor, cursor, line, parsed, cursorPos) {
-        const prefix = this.extractPrefix(parsed);
-        
-        const beforeCursor = line.substring(0, cursorPos);
-        const afterCursor = line.substring(cursorPos);
-        
-        const newText = beforeCursor + '\n' + prefix + afterCursor;
+    adjustInnerQuoteLevel(editor, getTargetLevel) {
+        const quoteToken = this.getQuoteToken();
         
-        editor.replaceRange(
-            newText,
-            { line: cursor.line, ch: 0 },
-            { line: cursor.line, ch: line.length }
+        this.editSelectedLines(
+            editor,
+            (parsedLines) => parsedLines.map(parsed => {
+                const quotes = this.setInnerQuoteLevel(parsed.quotes, getTargetLevel(this.getQuoteLevel(parsed)), quoteToken);
+                const quoteStart = parsed.preQuoteIndent.length;
+                return parsed.raw.substring(0, quoteStart) + quotes + parsed.raw.substring(quoteStart + parsed.quotes.length);
+            }),
+            {
+                expandRange: (startLine, endLine) => this.expandRangeToCodeBlocks(editor, startLine, endLine),
+                renumber: true
+            }
         );
+    }
+
+    /**
+     * 在引用符号串的最内层增删 ">"，使层级等于 level
+     * 
+     * 最后一个 ">" 之后的空格始终留在内容之前：`> ` 增加一层为 `> > `（紧凑风格为 `>> `）。
+     */
+    setInnerQuoteLevel(quotes, level, quoteToken) {
+        const trailing = quotes.endsWith(' ') ? ' ' : '';
+        let core = quotes.substring(0, quotes.length - trailing.length);
+        let current = (core.match(/>/g) || []).length;
         
-        editor.setCursor({ line: cursor.line + 1, ch: prefix.length });
+        if (current === 0) {
+            return level > 0 ? quoteToken.repeat(level) : quotes;
+        }
+        while (current > level) {
+            core = core.substring(0, core.lastIndexOf('>')).trimEnd();
+            current--;
+        }
+        const separator = quoteToken === '> ' ? ' ' : '';
+        while (current < level) {
+            core += separator + '>';
+            current++;
+        }
+        return core ? core + trailing : '';
     }
 
-    // ==================== 智能粘贴功能 ====================
-    
     /**
-     * 智能粘贴 - 完全重写
+     * 引用层级调整 - 作用于所有光标和选区
+     * 
+     * 增加时在最前面添加一层引用符号，减少时移除第一个 "> "。
      */
-    async smartPaste(editor) {
-        try {
-            const clipboardText = await navigator.clipboard.readText();
-            if (!clipboardText) {
-                return;
+    adjustQuoteLevel(editor, increase) {
+        const quoteToken = this.getQuoteToken();
+        
+        this.editSelectedLines(
+            editor,
+            (parsedLines) => parsedLines.map(parsed => {
+                const newQuotes = increase
+                    ? quoteToken + (parsed.quotes || '')
+                    : parsed.quotes.replace(/^>\s?/, '');
+                return this.rebuildLine({ ...parsed, quotes: newQuotes });
+            }),
+            {
+                expandRange: (startLine, endLine) => this.expandRangeToCodeBlocks(editor, startLine, endLine),
+                renumber: true
             }
+        );
+    }
 
-            // 统一换行符
-            const normalizedText = clipboardText.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-            const lines = normalizedText.split('\n');
+    onunload() {
+        console.log('卸载 Block Indent Controller v2.0');
+    }
+};
 
-            // 单行直接粘贴
-            if (lines.length <= 1) {
-                editor.replaceSelection(normalizedText);
-                return;
-            }
+// ==================== Callout 类型选择 ====================
 
-            const cursor = editor.getCursor();
-            const currentLine = editor.getLine(cursor.line);
-            const currentParsed = this.parseLine(currentLine);
+class CalloutTypeModal extends SuggestModal {
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('选择或输入 Callout 类型');
+    }
 
-            // 获取目标前缀
-            let destPrefix = this.extractPrefix(currentParsed);
-            
-            // 关键修复：只有当当前行完全为空（连前缀都没有）时，才向上查找
-            // 如果当前行是 "> > > " 这样只有前缀的，应该直接使用这个前缀！
-            if (currentLine.trim() === '' && destPrefix === '') {
-                // 向上查找最近的非空行，使用它的前缀
-                for (let i = cursor.line - 1; i >= 0; i--) {
-                    const prevLine = editor.getLine(i);
-                    if (prevLine.trim() !== '') {
-                        const prevParsed = this.parseLine(prevLine);
-                        destPrefix = this.extractPrefix(prevParsed);
-                        break;
-                    }
-                }
-            }
+    getSuggestions(query) {
+        const input = query.trim().toLowerCase();
+        const matches = CALLOUT_TYPES.filter(type => type.includes(input));
+        // 允许输入自定义类型（如 multi-column）
+        if (input && !CALLOUT_TYPES.includes(input)) {
+            matches.push(input);
+        }
+        return matches;
+    }
 
-            // 解析所有源行
-            const srcStructures = lines.map(line => this.parseLine(line));
+    renderSuggestion(type, el) {
+        el.setText(type);
+    }
 
-            // 检测代码块
-            const isCodeBlock = lines.length >= 2 &&
-                              lines[0].trim().startsWith('```') &&
-                              lines[lines.length - 1].trim().startsWith('```');
-
-            console.log('粘贴调试:', {
-                currentLine: currentLine,
-                currentParsed: currentParsed,
-                destPrefix: destPrefix,
-                srcStructures: srcStructures,
-                isCodeBlock: isCodeBlock
-            });
+    onChooseSuggestion(type) {
+        this.onChoose(type);
+    }
+}
 
-            // 处理每一行
-            const processedLines = lines.map((line, index) => {
-                const struct = srcStructures[index];
-                
-                // 空行：只添加目标前缀
-                if (struct.raw.trim() === '') {
-                    return destPrefix;
-                }
-                
-                // 代码块内部行：目标前缀 + 原始行
-                if (isCodeBlock && index > 0 && index < lines.length - 1) {
-                    return destPrefix + line;
-                }
-                
-                // 常规行：直接拼接目标前缀 + 源前缀 + 列表标记 + 内容
-                // 关键修复：不计算相对缩进，直接叠加，保持源内容的绝对缩进
-                const srcPrefix = this.extractPrefix(struct);
-                const mergedPrefix = destPrefix + srcPrefix;
-                
-                if (index === 0) {
-                    console.log('第一行处理:', {
-                        srcPrefix: srcPrefix,
-                        destPrefix: destPrefix,
-                        mergedPrefix: mergedPrefix,
-                        listMarker: struct.listMarker,
-                        content: struct.content
-                    });
-                }
-                
-                let result = mergedPrefix;
-                if (struct.listMarker) {
-                    result += struct.listMarker + ' ';
-                }
-                result += struct.content;
-                
-                return result;
-            });
+// ==================== 列表粘贴方式选择 ====================
 
-            const processedText = processedLines.join('\n');
+class ListPasteModal extends SuggestModal {
+    constructor(app, onResult) {
+        super(app);
+        this.onResult = onResult;
+        this.chosen = false;
+        this.setPlaceholder('选择列表粘贴方式');
+    }
 
-            // 根据当前行状态决定插入方式
-            if (currentParsed.content.trim() === '' && !currentParsed.listMarker) {
-                // 当前行只有前缀：替换整行
-                editor.replaceRange(
-                    processedText,
-                    { line: cursor.line, ch: 0 },
-                    { line: cursor.line, ch: currentLine.length }
-                );
-            } else {
-                // 当前行有内容：在光标位置插入
-                if (cursor.ch >= currentLine.length) {
-                    // 光标在行末：添加换行
-                    editor.replaceSelection('\n' + processedText);
-                } else {
-                    // 光标在行中：直接插入
-                    editor.replaceSelection(processedText);
-                }
-            }
+    getSuggestions() {
+        return [
+            { id: 'continue', label: '延续当前列表（同级，延续编号）' },
+            { id: 'nest', label: '作为当前项的子项' }
+        ];
+    }
 
-            console.log('智能粘贴完成');
+    renderSuggestion(item, el) {
+        el.setText(item.label);
+    }
 
-        } catch (error) {
-            console.error('智能粘贴失败:', error);
-            // 失败时回退
-            try {
-                const clipboardText = await navigator.clipboard.readText();
-                editor.replaceSelection(clipboardText);
-            } catch (fallbackError) {
-                console.error('回退粘贴也失败:', fallbackError);
-            }
-        }
+    onChooseSuggestion(item) {
+        this.chosen = true;
+        this.onResult(item.id);
     }
 
-    // ==================== 缩进和引用调整功能 ====================
-    
-    adjustBlockIndent(editor, increase) {
-        const selection = editor.getSelection();
-        
-        if (selection) {
-            const from = editor.getCursor('from');
-            const to = editor.getCursor('to');
-            const startLine = from.line;
-            const endLine = to.line;
-            
-            let newLines = [];
-            for (let i = startLine; i <= endLine; i++) {
-                const line = editor.getLine(i);
-                const newLine = increase ? '\t' + line : this.removeLeadingIndent(line);
-                newLines.push(newLine);
-            }
-            
-            const lastLineLength = editor.getLine(endLine).length;
-            editor.replaceRange(
-                newLines.join('\n'),
-                { line: startLine, ch: 0 },
-                { line: endLine, ch: lastLineLength }
-            );
-            
-            editor.setSelection(
-                { line: startLine, ch: 0 },
-                { line: endLine, ch: newLines[newLines.length - 1].length }
-            );
-        } else {
-            const cursor = editor.getCursor();
-            const line = editor.getLine(cursor.line);
-            const newLine = increase ? '\t' + line : this.removeLeadingIndent(line);
-            
-            editor.replaceRange(
-                newLine,
-                { line: cursor.line, ch: 0 },
-                { line: cursor.line, ch: line.length }
-            );
-            
-            const offset = newLine.length - line.length;
-            editor.setCursor({ 
-                line: cursor.line, 
-                ch: Math.max(0, cursor.ch + offset) 
-            });
-        }
+    onClose() {
+        // 选择后 Obsidian 会先关闭弹窗再回调选择结果，延迟判断是否为取消
+        setTimeout(() => {
+            if (!this.chosen) this.onResult(null);
+        }, 0);
     }
+}
 
-    removeLeadingIndent(line) {
-        if (line.startsWith('\t')) {
-            return line.substring(1);
-        } else if (line.startsWith('    ')) {
-            return line.substring(4);
-        } else if (line.startsWith('   ')) {
-            return line.substring(3);
-        } else if (line.startsWith('  ')) {
-            return line.substring(2);
-        } else if (line.startsWith(' ')) {
-            return line.substring(1);
-        }
-        return line;
+// ==================== 规范化预览 ====================
+
+class NormalizePreviewModal extends SuggestModal {
+    constructor(app, changedCount, onConfirm) {
+        super(app);
+        this.changedCount = changedCount;
+        this.onConfirm = onConfirm;
+        this.setPlaceholder(`将修改 ${changedCount} 行，是否应用？`);
     }
 
-    adjustQuoteLevel(editor, increase) {
-        const selection = editor.getSelection();
-        
-        if (selection) {
-            const from = editor.getCursor('from');
-            const to = editor.getCursor('to');
-            const startLine = from.line;
-            const endLine = to.line;
-            
-            let newLines = [];
-            for (let i = startLine; i <= endLine; i++) {
-                const line = editor.getLine(i);
-                const parsed = this.parseLine(line);
-                
-                if (increase) {
-                    // 在引用前添加 "> "
-                    const newQuotes = '> ' + (parsed.quotes || '');
-                    newLines.push(parsed.preQuoteIndent + newQuotes + parsed.postQuoteIndent + 
-                                (parsed.listMarker ? parsed.listMarker + ' ' : '') + parsed.content);
-                } else {
-                    // 移除第一个 "> "
-                    const newQuotes = parsed.quotes.replace(/^>\s?/, '');
-                    newLines.push(parsed.preQuoteIndent + newQuotes + parsed.postQuoteIndent + 
-                                (parsed.listMarker ? parsed.listMarker + ' ' : '') + parsed.content);
-                }
-            }
-            
-            const lastLineLength = editor.getLine(endLine).length;
-            editor.replaceRange(
-                newLines.join('\n'),
-                { line: startLine, ch: 0 },
-                { line: endLine, ch: lastLineLength }
-            );
-            
-            editor.setSelection(
-                { line: startLine, ch: 0 },
-                { line: endLine, ch: newLines[newLines.length - 1].length }
-            );
-        } else {
-            const cursor = editor.getCursor();
-            const line = editor.getLine(cursor.line);
-            const parsed = this.parseLine(line);
-            
-            let newLine;
-            if (increase) {
-                const newQuotes = '> ' + (parsed.quotes || '');
-                newLine = parsed.preQuoteIndent + newQuotes + parsed.postQuoteIndent + 
-                         (parsed.listMarker ? parsed.listMarker + ' ' : '') + parsed.content;
-            } else {
-                const newQuotes = parsed.quotes.replace(/^>\s?/, '');
-                newLine = parsed.preQuoteIndent + newQuotes + parsed.postQuoteIndent + 
-                         (parsed.listMarker ? parsed.listMarker + ' ' : '') + parsed.content;
-            }
-            
-            editor.replaceRange(
-                newLine,
-                { line: cursor.line, ch: 0 },
-                { line: cursor.line, ch: line.length }
-            );
-            
-            const offset = newLine.length - line.length;
-            editor.setCursor({ 
-                line: cursor.line, 
-                ch: Math.max(0, cursor.ch + offset) 
-            });
-        }
+    getSuggestions() {
+        return [
+            { id: 'apply', label: `应用（修改 ${this.changedCount} 行）` },
+            { id: 'cancel', label: '取消' }
+        ];
     }
 
-    onunload() {
-        console.log('卸载 Block Indent Controller v2.0');
+    renderSuggestion(item, el) {
+        el.setText(item.label);
     }
-};
+
+    onChooseSuggestion(item) {
+        if (item.id === 'apply') this.onConfirm();
+    }
+}
+
+// ==================== 引用层级选择 ====================
+
+class QuoteDepthModal extends SuggestModal {
+    constructor(app, onChoose) {
+        super(app);
+        this.onChoose = onChoose;
+        this.setPlaceholder('输入或选择引用层级（0 为移除全部引用）');
+    }
+
+    getSuggestions(query) {
+        const input = query.trim();
+        // 允许输入任意非负整数
+        if (/^\d+$/.test(input)) return [parseInt(input)];
+        return [0, 1, 2, 3, 4, 5, 6];
+    }
+
+    renderSuggestion(depth, el) {
+        el.setText(depth === 0 ? '0（移除引用）' : `${depth} 层`);
+    }
+
+    onChooseSuggestion(depth) {
+        this.onChoose(depth);
+    }
+}
+
+// ==================== 设置面板 ====================
+
+class BlockIndentSettingTab extends PluginSettingTab {
+    constructor(app, plugin) {
+        super(app, plugin);
+        this.plugin = plugin;
+    }
+
+    display() {
+        const { containerEl } = this;
+        containerEl.empty();
+
+        new Setting(containerEl)
+            .setName('缩进单位')
+            .setDesc('缩进时插入的字符；自动模式跟随文档已有的缩进，其次跟随库的“使用制表符缩进 / 制表符宽度”设置')
+            .addDropdown(dropdown => dropdown
+                .addOption('auto', '自动')
+                .addOption('tab', '制表符')
+                .addOption('2', '2 个空格')
+                .addOption('4', '4 个空格')
+                .setValue(this.plugin.settings.indentUnit)
+                .onChange(async (value) => {
+                    this.plugin.settings.indentUnit = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('引用符号风格')
+            .setDesc('新增引用层级时写入的符号')
+            .addDropdown(dropdown => dropdown
+                .addOption('spaced', '"> "（带空格）')
+                .addOption('compact', '">"（紧凑）')
+                .setValue(this.plugin.settings.quoteStyle)
+                .onChange(async (value) => {
+                    this.plugin.settings.quoteStyle = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('整体块缩进范围')
+            .setDesc('Alt+] / Alt+[ 移动光标所在的整个逻辑块，还是只移动选中的行')
+            .addDropdown(dropdown => dropdown
+                .addOption('subtree', '列表项连同子项 / 整个引用段落')
+                .addOption('lines', '只处理选中行')
+                .setValue(this.plugin.settings.blockIndentScope)
+                .onChange(async (value) => {
+                    this.plugin.settings.blockIndentScope = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('循环无序列表符号')
+            .setDesc('用 Tab 嵌套无序列表项时，按层级依次使用 - → * → +')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.cycleBulletMarkers)
+                .onChange(async (value) => {
+                    this.plugin.settings.cycleBulletMarkers = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('重排列宽')
+            .setDesc('“按列宽重排段落”时每行的最大宽度（含引用和缩进，中日韩文字按两列计算）')
+            .addText(text => text
+                .setPlaceholder('80')
+                .setValue(String(this.plugin.settings.reflowColumn))
+                .onChange(async (value) => {
+                    const column = parseInt(value, 10);
+                    if (!(column > 0)) return;
+                    this.plugin.settings.reflowColumn = column;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('智能换行')
+            .setDesc('接管 Enter：列表自动延续、前缀继承')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableSmartEnter)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableSmartEnter = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('智能退格')
+            .setDesc('接管 Backspace：在内容开头逐层移除列表标记、缩进和引用')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableSmartBackspace)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableSmartBackspace = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('智能粘贴')
+            .setDesc('接管 Ctrl+Shift+V：按当前行格式粘贴')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.enableSmartPaste)
+                .onChange(async (value) => {
+                    this.plugin.settings.enableSmartPaste = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('智能粘贴模式')
+            .setDesc('Ctrl+Shift+V 使用的粘贴方式；其他模式可通过命令面板单独调用')
+            .addDropdown(dropdown => dropdown
+                .addOption('absolute', '保持绝对缩进')
+                .addOption('relative', '保持相对缩进')
+                .addOption('plain', '纯文本')
+                .setValue(this.plugin.settings.pasteMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.pasteMode = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('列表粘贴方式')
+            .setDesc('在列表项上粘贴列表时：延续当前列表编号，或作为当前项的子项')
+            .addDropdown(dropdown => dropdown
+                .addOption('ask', '每次询问')
+                .addOption('continue', '延续当前列表')
+                .addOption('nest', '作为子项')
+                .addOption('none', '不特殊处理')
+                .setValue(this.plugin.settings.listPasteMode)
+                .onChange(async (value) => {
+                    this.plugin.settings.listPasteMode = value;
+                    await this.plugin.saveSettings();
+                }));
+
+        new Setting(containerEl)
+            .setName('自动重新编号')
+            .setDesc('换行、粘贴、缩进和引用调整后，自动修正有序列表序号')
+            .addToggle(toggle => toggle
+                .setValue(this.plugin.settings.autoRenumber)
+                .onChange(async (value) => {
+                    this.plugin.settings.autoRenumber = value;
+                    await this.plugin.saveSettings();
+                }));
+    }
+}